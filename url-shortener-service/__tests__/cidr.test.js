@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+
+const { GeoIpDatabase, parseIp, parseCidr, ipInCidr } = require('../server');
+
+const contains = (cidr, address) => ipInCidr(parseIp(address), parseCidr(cidr));
+
+describe('CIDR matching', () => {
+  it('matches IPv4 addresses against their network', () => {
+    expect(contains('10.0.0.0/8', '10.255.3.4')).toBe(true);
+    expect(contains('10.0.0.0/8', '11.0.0.1')).toBe(false);
+    expect(contains('192.168.1.128/25', '192.168.1.200')).toBe(true);
+    expect(contains('192.168.1.128/25', '192.168.1.127')).toBe(false);
+    expect(contains('0.0.0.0/0', '8.8.8.8')).toBe(true);
+  });
+
+  it('matches compressed IPv6 addresses', () => {
+    expect(contains('2001:db8::/32', '2001:db8:ffff::1')).toBe(true);
+    expect(contains('2001:db8::/32', '2001:db9::1')).toBe(false);
+    expect(contains('fe80::/10', 'fe80::1%eth0')).toBe(true);
+  });
+
+  it('treats IPv4-mapped IPv6 addresses and networks as IPv4', () => {
+    expect(contains('127.0.0.0/8', '::ffff:127.0.0.1')).toBe(true);
+    expect(contains('::ffff:10.0.0.0/104', '10.1.2.3')).toBe(true);
+    expect(parseCidr('::ffff:10.0.0.0/104').prefix).toBe(8);
+  });
+
+  it('never matches across address families', () => {
+    expect(contains('0.0.0.0/0', '::1')).toBe(false);
+    expect(contains('::/0', '1.2.3.4')).toBe(false);
+  });
+
+  it('masks host bits and rejects invalid networks', () => {
+    expect(parseCidr('10.1.2.3/8').network).toBe(parseIp('10.0.0.0').value);
+    expect(parseCidr('10.0.0.0/33')).toBeNull();
+    expect(parseCidr('2001:db8::/129')).toBeNull();
+    expect(parseCidr('10.0.0.0/abc')).toBeNull();
+    expect(parseCidr('not-an-ip/8')).toBeNull();
+  });
+});
+
+describe('GeoIpDatabase', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'quicklink-geoip-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('resolves addresses to the most specific network', () => {
+    const filePath = path.join(directory, 'networks.csv');
+    fs.writeFileSync(filePath, [
+      'network,country,region,city',
+      '203.0.113.0/24,de,Berlin,Berlin',
+      '203.0.0.0/16,fr',
+      '2001:db8::/32,nl,,Amsterdam'
+    ].join('\n'));
+
+    const database = new GeoIpDatabase(filePath);
+    database.load();
+
+    expect(database.size).toBe(3);
+    expect(database.lookup('203.0.113.9')).toEqual({ country: 'DE', region: 'Berlin', city: 'Berlin' });
+    expect(database.lookup('203.0.7.1')).toEqual({ country: 'FR', region: null, city: null });
+    expect(database.lookup('2001:db8::42')).toEqual({ country: 'NL', region: null, city: 'Amsterdam' });
+    expect(database.lookup('198.51.100.1')).toBeNull();
+  });
+});
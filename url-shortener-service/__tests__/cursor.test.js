@@ -0,0 +1,103 @@
+const request = require('supertest');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.LOG_LEVEL = 'error';
+
+const { app, store } = require('../server');
+
+describe('link listing cursors', () => {
+  let apiKey;
+  let ownerId;
+
+  const addLink = (shortcode) => store.storeUrl(shortcode, {
+    url: `https://example.com/${shortcode}`,
+    expiresIn: 60,
+    ownerId
+  });
+
+  const listPage = async (query) => {
+    const response = await request(app)
+      .get('/api/urls')
+      .set('X-API-Key', apiKey)
+      .query(query)
+      .expect(200);
+    return response.body.data;
+  };
+
+  // Follows nextCursor from the first page to the last
+  const walk = async (query, beforeNextPage = () => {}) => {
+    const shortcodes = [];
+    let data = await listPage(query);
+    shortcodes.push(...data.urls.map(url => url.shortcode));
+
+    while (data.pagination.nextCursor) {
+      await beforeNextPage();
+      data = await listPage({ ...query, cursor: data.pagination.nextCursor });
+      expect(data.pagination.total).toBeUndefined();
+      shortcodes.push(...data.urls.map(url => url.shortcode));
+    }
+    return shortcodes;
+  };
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/admin/keys')
+      .set('Authorization', 'Bearer test-admin-token')
+      .send({ name: 'cursor tests' })
+      .expect(201);
+    apiKey = response.body.data.key;
+    ownerId = response.body.data.id;
+
+    for (let i = 0; i < 10; i++) {
+      addLink(`link-${String(i).padStart(2, '0')}`);
+    }
+  });
+
+  it('walks every link exactly once in sort order', async () => {
+    const ascending = await walk({ sort: 'shortcode', order: 'asc', limit: 3 });
+    const expected = Array.from({ length: 10 }, (_, i) => `link-${String(i).padStart(2, '0')}`);
+    expect(ascending).toEqual(expected);
+
+    const descending = await walk({ sort: 'shortcode', order: 'desc', limit: 4 });
+    expect(descending).toEqual([...expected].reverse());
+  });
+
+  it('breaks ties between equal sort values without skipping links', async () => {
+    const shortcodes = await walk({ sort: 'clickCount', order: 'desc', limit: 3 });
+
+    expect(shortcodes).toHaveLength(10);
+    expect(new Set(shortcodes).size).toBe(10);
+  });
+
+  it('continues after the last link seen when links are added between pages', async () => {
+    const added = ['link-00a', 'link-08a'];
+    let pending = [...added];
+
+    const shortcodes = await walk({ sort: 'shortcode', order: 'asc', limit: 3 }, () => {
+      pending.forEach(addLink);
+      pending = [];
+    });
+
+    // link-00a sorts before the first cursor, link-08a after it
+    expect(shortcodes).not.toContain('link-00a');
+    expect(shortcodes).toContain('link-08a');
+    expect(new Set(shortcodes).size).toBe(shortcodes.length);
+    expect(shortcodes).toEqual([...shortcodes].sort());
+  });
+
+  it('rejects malformed cursors and cursors of another sort order', async () => {
+    await request(app)
+      .get('/api/urls')
+      .set('X-API-Key', apiKey)
+      .query({ cursor: 'not-a-cursor' })
+      .expect(400);
+
+    const data = await listPage({ sort: 'shortcode', order: 'asc', limit: 2 });
+    const response = await request(app)
+      .get('/api/urls')
+      .set('X-API-Key', apiKey)
+      .query({ sort: 'shortcode', order: 'desc', cursor: data.pagination.nextCursor })
+      .expect(400);
+    expect(response.body.error.message).toBe('Cursor belongs to a different sort order');
+  });
+});
@@ -0,0 +1,60 @@
+process.env.LOG_LEVEL = 'error';
+
+const { MemoryStore } = require('../server');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('expired link cleanup', () => {
+  let store;
+  let expired;
+
+  const addLink = (shortcode, expiresAt) => store.storeUrl(shortcode, {
+    url: `https://example.com/${shortcode}`,
+    expiresAt,
+    ownerId: 'owner-1'
+  });
+
+  const listExpired = () => store.listUrls({ ownerId: 'owner-1', status: 'expired', sort: 'shortcode', order: 'asc' })
+    .urls.map(url => url.shortcode);
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    expired = [];
+    store.on('link.expired', record => expired.push(record.shortcode));
+  });
+
+  it('keeps expired links listable and announces them once', () => {
+    addLink('fresh', new Date(Date.now() + DAY));
+    addLink('yesterday', new Date(Date.now() - DAY));
+
+    expect(store.cleanupExpiredUrls()).toBe(1);
+    expect(store.cleanupExpiredUrls()).toBe(0);
+
+    expect(expired).toEqual(['yesterday']);
+    expect(listExpired()).toEqual(['yesterday']);
+    expect(store.getUrl('yesterday')).toBeNull();
+    expect(store.getAnalytics('yesterday')).not.toBeNull();
+  });
+
+  it('removes links once they are past the retention window', () => {
+    addLink('recent', new Date(Date.now() - DAY));
+    addLink('ancient', new Date(Date.now() - 31 * DAY));
+
+    store.cleanupExpiredUrls();
+
+    expect(expired.sort()).toEqual(['ancient', 'recent']);
+    expect(store.findUrl('ancient')).toBeNull();
+    expect(store.exists('ancient')).toBe(false);
+    expect(listExpired()).toEqual(['recent']);
+  });
+
+  it('announces a link again after its expiry is extended and reached', () => {
+    addLink('extended', new Date(Date.now() - DAY));
+    store.cleanupExpiredUrls();
+
+    store.updateUrl('extended', { expiresAt: new Date(Date.now() - 1000) });
+    store.cleanupExpiredUrls();
+
+    expect(expired).toEqual(['extended', 'extended']);
+  });
+});
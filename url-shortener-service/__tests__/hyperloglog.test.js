@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+process.env.LOG_LEVEL = 'error';
+
+const { HyperLogLog } = require('../server');
+
+// Visitor IDs are hex hashes, so the tests feed the counter the same
+const visitorIds = (from, to) => {
+  const ids = [];
+  for (let i = from; i < to; i++) {
+    ids.push(crypto.createHash('sha256').update(`visitor-${i}`).digest('hex'));
+  }
+  return ids;
+};
+
+const counterOf = (ids, precision) => {
+  const counter = new HyperLogLog(precision);
+  ids.forEach(id => counter.add(id));
+  return counter;
+};
+
+describe('HyperLogLog', () => {
+  it('counts small sets exactly and ignores repeat visitors', () => {
+    const ids = visitorIds(0, 200);
+    const counter = counterOf([...ids, ...ids]);
+
+    expect(counter.registers).toBeNull();
+    expect(counter.count()).toBe(200);
+  });
+
+  it('estimates large sets within a few percent', () => {
+    const counter = counterOf(visitorIds(0, 20000));
+
+    expect(counter.registers).not.toBeNull();
+    expect(Math.abs(counter.count() - 20000) / 20000).toBeLessThan(0.05);
+  });
+
+  it('merges overlapping counters into the size of their union', () => {
+    const first = counterOf(visitorIds(0, 6000), 10);
+    const second = counterOf(visitorIds(4000, 10000), 10);
+
+    first.merge(second);
+
+    expect(Math.abs(first.count() - 10000) / 10000).toBeLessThan(0.1);
+  });
+
+  it('merges a sparse counter into an empty one exactly', () => {
+    const merged = new HyperLogLog().merge(counterOf(visitorIds(0, 50)));
+
+    expect(merged.count()).toBe(50);
+  });
+
+  it('survives a JSON round trip in both representations', () => {
+    const sparse = counterOf(visitorIds(0, 100));
+    const dense = counterOf(visitorIds(0, 5000));
+
+    const revivedSparse = HyperLogLog.fromJSON(JSON.parse(JSON.stringify(sparse)));
+    const revivedDense = HyperLogLog.fromJSON(JSON.parse(JSON.stringify(dense)));
+
+    expect(revivedSparse.count()).toBe(100);
+    expect(revivedDense.count()).toBe(dense.count());
+    expect(revivedDense.precision).toBe(dense.precision);
+  });
+});
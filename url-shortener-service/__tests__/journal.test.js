@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+
+const { JournalStore } = require('../server');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('JournalStore', () => {
+  let directory;
+  let stores;
+
+  // Opening a store replays whatever the directory holds
+  const open = () => {
+    const store = new JournalStore({ directory, snapshotInterval: HOUR });
+    stores.push(store);
+    return store;
+  };
+
+  // Drops a store without the snapshot close() writes, as a crash would
+  const crash = (store) => clearInterval(store.snapshotTimer);
+
+  const journalLines = () => fs.readFileSync(path.join(directory, 'journal.ndjson'), 'utf8')
+    .split('\n')
+    .filter(line => line.trim());
+
+  const click = (visitorId) => ({
+    ip: '203.0.113.0',
+    userAgent: 'Firefox',
+    os: 'Linux',
+    device: 'desktop',
+    referer: 'news.example',
+    visitorId
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'quicklink-journal-'));
+    stores = [];
+  });
+
+  afterEach(() => {
+    stores.forEach(store => clearInterval(store.snapshotTimer));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replays links, updates and clicks from the journal', () => {
+    const first = open();
+    first.storeUrl('launch', { url: 'https://example.com/launch', expiresIn: 60, ownerId: 'owner-1' });
+    first.recordClick('launch', click('a'.repeat(16)));
+    first.recordClick('launch', click('b'.repeat(16)));
+    first.updateUrl('launch', { description: 'Launch page', tags: ['campaign'] });
+    crash(first);
+
+    const second = open();
+    const record = second.findUrl('launch');
+    expect(record.originalUrl).toBe('https://example.com/launch');
+    expect(record.description).toBe('Launch page');
+    expect(record.clickCount).toBe(2);
+    expect(record.expiresAt).toBeInstanceOf(Date);
+
+    const analytics = second.getAnalytics('launch');
+    expect(analytics.uniqueVisitors).toBe(2);
+    expect(analytics.topReferers).toEqual([{ referer: 'news.example', count: 2 }]);
+    expect(analytics.clicksByOs).toEqual([{ os: 'Linux', count: 2 }]);
+
+    const tagged = second.listUrls({ ownerId: 'owner-1', tags: ['campaign'] });
+    expect(tagged.urls.map(url => url.shortcode)).toEqual(['launch']);
+  });
+
+  it('restores the snapshot and replays only the entries written after it', () => {
+    const first = open();
+    first.storeUrl('before', { url: 'https://example.com/before', expiresIn: 60 });
+    first.recordClick('before', click('a'.repeat(16)));
+    expect(first.snapshot()).toBe(true);
+    expect(journalLines()).toHaveLength(0);
+
+    first.storeUrl('after', { url: 'https://example.com/after', expiresIn: 60 });
+    first.setActive('before', false);
+    crash(first);
+    expect(journalLines()).toHaveLength(2);
+
+    const second = open();
+    expect(second.findUrl('before').clickCount).toBe(1);
+    expect(second.findUrl('before').isActive).toBe(false);
+    expect(second.findUrl('after').originalUrl).toBe('https://example.com/after');
+    expect(second.getStats().totalUrls).toBe(2);
+  });
+
+  it('does not replay entries the snapshot holds when the journal was not truncated', () => {
+    const journalPath = path.join(directory, 'journal.ndjson');
+    const first = open();
+    first.storeUrl('counted', { url: 'https://example.com/counted', expiresIn: 60 });
+    first.snapshot();
+    first.recordClick('counted', click('a'.repeat(16)));
+    first.recordClick('counted', click('b'.repeat(16)));
+
+    // A crash between publishing the snapshot and truncating the journal
+    const journal = fs.readFileSync(journalPath, 'utf8');
+    first.snapshot();
+    fs.writeFileSync(journalPath, journal);
+    crash(first);
+
+    const second = open();
+    expect(second.findUrl('counted').clickCount).toBe(2);
+    expect(second.getAnalytics('counted').totalClicks).toBe(2);
+
+    // Entries written after the restart still come back
+    second.recordClick('counted', click('c'.repeat(16)));
+    crash(second);
+
+    const third = open();
+    expect(third.findUrl('counted').clickCount).toBe(3);
+  });
+
+  it('skips a torn final journal line', () => {
+    const first = open();
+    first.storeUrl('intact', { url: 'https://example.com/intact', expiresIn: 60 });
+    crash(first);
+    fs.appendFileSync(path.join(directory, 'journal.ndjson'), '{"op":"url","record":{"shortc');
+
+    const second = open();
+    expect(second.findUrl('intact')).not.toBeNull();
+    expect(second.urls.size).toBe(1);
+  });
+});
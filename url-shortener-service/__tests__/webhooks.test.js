@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.URL_DNS_CHECK = 'false';
+process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_BASE_MS = '1';
+process.env.LOG_LEVEL = 'error';
+
+const { app, webhookDispatcher } = require('../server');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('webhook deliveries', () => {
+  let receiver;
+  let receiverUrl;
+  let received;
+  let statuses;
+  let apiKey;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    const response = await request(app)
+      .post('/api/admin/keys')
+      .set('Authorization', 'Bearer test-admin-token')
+      .send({ name: 'webhook tests' })
+      .expect(201);
+    apiKey = response.body.data.key;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    statuses = [];
+  });
+
+  const createWebhook = async () => {
+    const response = await request(app)
+      .post('/api/webhooks')
+      .set('X-API-Key', apiKey)
+      .send({ url: receiverUrl, events: ['link.created'] })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const createLink = async () => {
+    await request(app)
+      .post('/api/urls')
+      .set('X-API-Key', apiKey)
+      .send({ url: 'https://example.com/landing' })
+      .expect(201);
+  };
+
+  const listDeliveries = async (webhookId) => {
+    const response = await request(app)
+      .get(`/api/webhooks/${webhookId}/deliveries`)
+      .set('X-API-Key', apiKey)
+      .expect(200);
+    return response.body.data.deliveries;
+  };
+
+  // Link events are queued asynchronously, so wait for the delivery to show up
+  const waitForDeliveries = async (webhookId) => {
+    for (let i = 0; i < 50; i++) {
+      const deliveries = await listDeliveries(webhookId);
+      if (deliveries.length > 0) return deliveries;
+      await wait(10);
+    }
+    throw new Error('No delivery was queued');
+  };
+
+  const deleteWebhook = (webhookId) => request(app)
+    .delete(`/api/webhooks/${webhookId}`)
+    .set('X-API-Key', apiKey)
+    .expect(200);
+
+  it('signs the payload with the webhook secret', async () => {
+    const webhook = await createWebhook();
+    await createLink();
+    await waitForDeliveries(webhook.id);
+
+    await webhookDispatcher.processDue();
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(headers['x-quicklink-event']).toBe('link.created');
+
+    const [, timestamp, signature] = headers['x-quicklink-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    expect(signature).toBe(expected);
+    expect(JSON.parse(body).data.originalUrl).toBe('https://example.com/landing');
+
+    const [delivery] = await listDeliveries(webhook.id);
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.id).toBe(headers['x-quicklink-delivery']);
+
+    await deleteWebhook(webhook.id);
+  });
+
+  it('retries a delivery after the receiver responds with 500', async () => {
+    statuses = [500];
+    const webhook = await createWebhook();
+    await createLink();
+    await waitForDeliveries(webhook.id);
+
+    await webhookDispatcher.processDue();
+    let [delivery] = await listDeliveries(webhook.id);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.responseStatus).toBe(500);
+    expect(delivery.nextAttemptAt).not.toBeNull();
+
+    await wait(10);
+    await webhookDispatcher.processDue();
+    [delivery] = await listDeliveries(webhook.id);
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts).toBe(2);
+    expect(received).toHaveLength(2);
+    expect(received[1].headers['x-quicklink-delivery']).toBe(received[0].headers['x-quicklink-delivery']);
+
+    await deleteWebhook(webhook.id);
+  });
+
+  it('marks a delivery failed once the retry limit is reached', async () => {
+    statuses = [500, 500, 500];
+    const webhook = await createWebhook();
+    await createLink();
+    await waitForDeliveries(webhook.id);
+
+    await webhookDispatcher.processDue();
+    await wait(10);
+    await webhookDispatcher.processDue();
+    await wait(10);
+    await webhookDispatcher.processDue();
+
+    const [delivery] = await listDeliveries(webhook.id);
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts).toBe(2);
+    expect(delivery.lastError).toBe('Receiver responded with HTTP 500');
+    expect(delivery.nextAttemptAt).toBeNull();
+    expect(received).toHaveLength(2);
+
+    const response = await request(app)
+      .get('/api/webhooks')
+      .set('X-API-Key', apiKey)
+      .expect(200);
+    const listed = response.body.data.webhooks.find(item => item.id === webhook.id);
+    expect(listed.consecutiveFailures).toBe(1);
+    expect(listed.disabledAt).toBeNull();
+
+    await deleteWebhook(webhook.id);
+  });
+});
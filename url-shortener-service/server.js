@@ -1,7 +1,17 @@
 const express = require('express');
 const cors = require('cors');
 const Joi = require('joi');
+const QRCode = require('qrcode');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+const { domainToASCII, domainToUnicode } = require('url');
+const { EventEmitter, once } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 
 /**
  * QuickLink URL Shortener - Complete Service
@@ -27,10 +37,274 @@ const crypto = require('crypto');
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Storage backend: 'memory' (default, lost on restart) or 'journal' (durable)
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, 'data');
+const SNAPSHOT_INTERVAL = parseInt(process.env.SNAPSHOT_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Admin API (API key management) is disabled unless a token is configured
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Token-bucket rate limits per route group, configured as "<requests>/<seconds>"
+const parseRateLimit = (value, fallback) => {
+  const match = /^(\d+)\/(\d+)$/.exec(value || '');
+  if (!match) return fallback;
+  return { capacity: parseInt(match[1]), intervalMs: parseInt(match[2]) * 1000 };
+};
+
+const RATE_LIMITS = {
+  create: parseRateLimit(process.env.RATE_LIMIT_CREATE, { capacity: 30, intervalMs: 60 * 1000 }),
+  redirect: parseRateLimit(process.env.RATE_LIMIT_REDIRECT, { capacity: 120, intervalMs: 60 * 1000 }),
+  api: parseRateLimit(process.env.RATE_LIMIT_API, { capacity: 300, intervalMs: 60 * 1000 }),
+  bulk: parseRateLimit(process.env.RATE_LIMIT_BULK, { capacity: 5, intervalMs: 60 * 1000 }),
+  // Wrong link passwords, per client and link, and per link across all
+  // clients; correct ones are never counted
+  password: parseRateLimit(process.env.RATE_LIMIT_PASSWORD, { capacity: 5, intervalMs: 5 * 60 * 1000 }),
+  passwordLink: parseRateLimit(process.env.RATE_LIMIT_PASSWORD_LINK, { capacity: 100, intervalMs: 5 * 60 * 1000 }),
+  // Failed API key and admin token checks, per client IP
+  auth: parseRateLimit(process.env.RATE_LIMIT_AUTH, { capacity: 10, intervalMs: 60 * 1000 })
+};
+
+// Proxies allowed to set X-Forwarded-For, in Express "trust proxy" form: a
+// hop count, or comma-separated addresses/CIDRs and the loopback, linklocal
+// and uniquelocal keywords. Unset, the socket address is the client address
+const TRUSTED_PROXIES = !process.env.TRUSTED_PROXIES
+  ? false
+  : /^\d+$/.test(process.env.TRUSTED_PROXIES.trim())
+    ? parseInt(process.env.TRUSTED_PROXIES)
+    : process.env.TRUSTED_PROXIES.split(',').map(value => value.trim()).filter(Boolean);
+
+// Key for the hashed visitor IDs behind unique visitor counts. Without it a
+// random key is used and visitors are counted afresh after each restart
+const VISITOR_ID_SECRET = process.env.VISITOR_ID_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Optional bearer token required to scrape /metrics; open when unset
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+// Raw click events are kept for this many days; hourly and daily rollups
+// are kept for the lifetime of the link
+const RAW_CLICK_RETENTION_DAYS = parseInt(process.env.RAW_CLICK_RETENTION_DAYS) || 30;
+
+// Links past their expiry stay listable as 'expired' for this many days
+// before the cleanup task removes them with their analytics
+const EXPIRED_LINK_RETENTION_DAYS = parseInt(process.env.EXPIRED_LINK_RETENTION_DAYS) || 30;
+
+// Largest number of periods a single time-series query may return
+const TIMESERIES_MAX_BUCKETS = parseInt(process.env.TIMESERIES_MAX_BUCKETS) || 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Logging: minimum level (debug, info, warn, error), output format ('pretty'
+// or 'json'), comma-separated sinks ('console', 'stdout', 'stderr' or
+// 'file:<path>') and extra field names to redact
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || (NODE_ENV === 'production' ? 'json' : 'pretty');
+const LOG_SINKS = (process.env.LOG_SINKS || 'console').split(',').map(sink => sink.trim()).filter(Boolean);
+const LOG_REDACT = (process.env.LOG_REDACT || '').split(',').map(field => field.trim()).filter(Boolean);
+
+// Optional CSV file mapping CIDR networks to country/region/city, reloaded
+// whenever it changes on disk
+const GEOIP_DATABASE = process.env.GEOIP_DATABASE || null;
+const GEOIP_WATCH_INTERVAL = parseInt(process.env.GEOIP_WATCH_INTERVAL_MS) || 5000;
+
+// Destination URL safety: hostnames are resolved and every address checked
+// against private/reserved ranges (URL_DNS_CHECK=false skips resolution, e.g.
+// for offline development). Optional blocklist/allowlist files hold one
+// domain per line and are reloaded whenever they change on disk
+const URL_DNS_CHECK = process.env.URL_DNS_CHECK !== 'false';
+const URL_DNS_TIMEOUT_MS = parseInt(process.env.URL_DNS_TIMEOUT_MS) || 3000;
+const URL_BLOCKLIST_FILE = process.env.URL_BLOCKLIST_FILE || null;
+const URL_ALLOWLIST_FILE = process.env.URL_ALLOWLIST_FILE || null;
+const URL_LIST_WATCH_INTERVAL = parseInt(process.env.URL_LIST_WATCH_INTERVAL_MS) || 5000;
+
+// Link lifetime in minutes when neither expiresIn nor expiresAt is given and
+// the link's domain sets no default of its own
+const DEFAULT_EXPIRES_IN = parseInt(process.env.DEFAULT_EXPIRES_IN) || 30;
+
+// Responses to link creation requests carrying an Idempotency-Key header are
+// kept this many hours and replayed when the same key is sent again
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// Maximum number of rows accepted by POST /api/urls/bulk
+const BULK_MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS) || 1000;
+
+// Optional HTML file served for scheduled links before activation; supports
+// {{shortcode}} and {{activatesAt}} placeholders
+const COMING_SOON_TEMPLATE = process.env.COMING_SOON_TEMPLATE || null;
+
+// Sticky A/B variant assignment cookie, scoped to each short link's path
+const VARIANT_COOKIE = 'ql_variant';
+const VARIANT_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// Webhook delivery: retries back off exponentially from WEBHOOK_RETRY_BASE_MS
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10 * 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_LOG_LIMIT = parseInt(process.env.WEBHOOK_LOG_LIMIT) || 100;
+// Pending deliveries kept per webhook; the oldest is dropped to make room
+const WEBHOOK_MAX_PENDING = parseInt(process.env.WEBHOOK_MAX_PENDING) || 1000;
+// A webhook is disabled after this many deliveries in a row have failed
+const WEBHOOK_DISABLE_AFTER = parseInt(process.env.WEBHOOK_DISABLE_AFTER) || 10;
+// Allows webhook receivers on private/local addresses (development and tests)
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const WEBHOOK_EVENTS = ['link.created', 'link.clicked', 'link.expired', 'link.deleted'];
+
+// Live click stream (SSE): heartbeat comment interval, client reconnect delay,
+// number of recent events kept for Last-Event-ID resume and open streams
+// allowed per API key
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 15 * 1000;
+const SSE_RETRY_MS = 3000;
+const SSE_BUFFER_SIZE = parseInt(process.env.SSE_BUFFER_SIZE) || 500;
+const SSE_MAX_SUBSCRIBERS = parseInt(process.env.SSE_MAX_SUBSCRIBERS) || 10;
+
+// Per-link interstitial modes: 'external' always shows the warning page
+// before redirecting, 'unverified' only when the destination domain isn't on
+// the URL allowlist. Visitors continue with ?confirm=1
+const INTERSTITIAL_MODES = ['off', 'external', 'unverified'];
+const INTERSTITIAL_CONFIRM_PARAM = 'confirm';
+
+// Query marker appended to QR-encoded short URLs so scans can be told apart
+const QR_MARKER_PARAM = 'src';
+const QR_MARKER_VALUE = 'qr';
+
 // ============================================================================
 // UTILITY CLASSES & HELPERS
 // ============================================================================
 
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_ICONS = { debug: '🔍', info: 'ℹ️ ', warn: '⚠️ ', error: '❌' };
+
+// Field names whose values never reach a log sink
+const REDACTED_FIELDS = /^(password|passwordHash|secret|token|authorization|cookie|set-cookie|apiKey|x-api-key|key|keyHash)$/i;
+
+// Request-scoped context (currently the request ID) for every log line
+// written while handling a request, including from the store and helpers
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Logger Class
+ *
+ * Leveled logger writing each entry as one line to its sinks, either as a
+ * readable line or as JSON for log pipelines. Fields named like credentials
+ * (plus LOG_REDACT) are replaced with "[REDACTED]" at any depth, and the
+ * current request ID is attached automatically.
+ */
+class Logger {
+  constructor(options = {}) {
+    const {
+      level = 'info',
+      format = 'pretty',
+      sinks = ['console'],
+      redact = []
+    } = options;
+
+    if (!LOG_LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+
+    this.level = level;
+    this.format = format;
+    this.redact = new Set(redact.map(field => field.toLowerCase()));
+    this.sinks = sinks.map(sink => this._openSink(sink));
+  }
+
+  debug(message, fields) {
+    this._log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._log('error', message, fields);
+  }
+
+  _log(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) return;
+
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...(context ? { requestId: context.requestId } : {}),
+      ...this._sanitize(fields, 0)
+    };
+
+    const line = this.format === 'json' ? JSON.stringify(entry) : this._formatPretty(entry);
+    this.sinks.forEach(sink => sink(level, line));
+  }
+
+  _formatPretty({ time, level, msg, requestId, ...fields }) {
+    const details = Object.entries(fields)
+      .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' ');
+
+    return `${time} ${LOG_ICONS[level]} ${requestId ? `[${requestId}] ` : ''}${msg}${details ? ` ${details}` : ''}`;
+  }
+
+  _sanitize(value, depth) {
+    if (value instanceof Error) {
+      return this._sanitize({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth);
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (depth >= 5) {
+      return '[Object]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this._sanitize(item, depth + 1));
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([name, item]) => {
+      if (item === undefined) return;
+      result[name] = REDACTED_FIELDS.test(name) || this.redact.has(name.toLowerCase())
+        ? '[REDACTED]'
+        : this._sanitize(item, depth + 1);
+    });
+    return result;
+  }
+
+  _openSink(sink) {
+    if (sink === 'console') {
+      return (level, line) => {
+        (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+      };
+    }
+    if (sink === 'stdout' || sink === 'stderr') {
+      return (level, line) => process[sink].write(line + '\n');
+    }
+    if (sink.startsWith('file:')) {
+      // Synchronous appends so nothing is lost when the process exits
+      const fd = fs.openSync(sink.slice('file:'.length), 'a');
+      return (level, line) => fs.writeSync(fd, line + '\n');
+    }
+    throw new Error(`Unknown log sink: ${sink}`);
+  }
+}
+
+const logger = new Logger({
+  level: LOG_LEVEL,
+  format: LOG_FORMAT,
+  sinks: LOG_SINKS,
+  redact: LOG_REDACT
+});
+
 /**
  * Custom Error Classes
  */
@@ -63,6 +337,227 @@ class ConflictError extends AppError {
   }
 }
 
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401, 'UNAUTHORIZED');
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied') {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
+class RateLimitError extends AppError {
+  constructor(retryAfter) {
+    super(`Too many requests, retry in ${retryAfter}s`, 429, 'RATE_LIMITED');
+    this.retryAfter = retryAfter;
+  }
+}
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+};
+
+/**
+ * Counter Metric Class
+ *
+ * Monotonic count per label set, e.g. cache lookups by result.
+ */
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.series = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = JSON.stringify(labels);
+    const entry = this.series.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.series.set(key, entry);
+  }
+
+  get(labels = {}) {
+    const entry = this.series.get(JSON.stringify(labels));
+    return entry ? entry.value : 0;
+  }
+
+  total() {
+    let sum = 0;
+    for (const entry of this.series.values()) {
+      sum += entry.value;
+    }
+    return sum;
+  }
+
+  render() {
+    return Array.from(this.series.values())
+      .map(entry => `${this.name}${formatLabels(entry.labels)} ${entry.value}`);
+  }
+}
+
+/**
+ * Histogram Metric Class
+ *
+ * Cumulative bucket counts, sum and count per label set, e.g. request
+ * latency in seconds by route and status.
+ */
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 });
+    }
+
+    const entry = this.series.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Sum and count across every label set
+  summary() {
+    let sum = 0;
+    let count = 0;
+    for (const entry of this.series.values()) {
+      sum += entry.sum;
+      count += entry.count;
+    }
+    return { sum, count };
+  }
+
+  render() {
+    const lines = [];
+    for (const entry of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Gauge Metric Class
+ *
+ * Value read when scraped; collect() returns a number or a list of
+ * { labels, value } and may be async.
+ */
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  async render() {
+    const result = await this.collect();
+    const series = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+    return series.map(entry => `${this.name}${formatLabels(entry.labels)} ${entry.value}`);
+  }
+}
+
+/**
+ * Metrics Registry Class
+ *
+ * Holds the service metrics and renders them in the Prometheus text
+ * exposition format.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this._register(new Counter(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this._register(new Histogram(name, help, buckets));
+  }
+
+  gauge(name, help, collect) {
+    return this._register(new Gauge(name, help, collect));
+  }
+
+  async render() {
+    const blocks = [];
+    for (const metric of this.metrics) {
+      const lines = await metric.render();
+      blocks.push([
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...lines
+      ].join('\n'));
+    }
+    return blocks.join('\n') + '\n';
+  }
+
+  _register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+}
+
+const metricsRegistry = new MetricsRegistry();
+
+const metrics = {
+  requestDuration: metricsRegistry.histogram(
+    'quicklink_http_request_duration_seconds',
+    'HTTP request latency by method, route and status',
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  ),
+  cacheLookups: metricsRegistry.counter(
+    'quicklink_cache_lookups_total',
+    'Short URL cache lookups by result (hit or miss)'
+  ),
+  generatorAttempts: metricsRegistry.counter(
+    'quicklink_shortcode_generation_attempts_total',
+    'Generated shortcode candidates by strategy'
+  ),
+  generatorCollisions: metricsRegistry.counter(
+    'quicklink_shortcode_collisions_total',
+    'Generated shortcode candidates that were already taken, by strategy'
+  ),
+  linksCreated: metricsRegistry.counter(
+    'quicklink_links_created_total',
+    'Short links created'
+  ),
+  linksExpired: metricsRegistry.counter(
+    'quicklink_links_expired_total',
+    'Short links the cleanup task found past their expiry'
+  ),
+  visits: metricsRegistry.counter(
+    'quicklink_visits_total',
+    'Recorded visits by kind (click, scan or bot)'
+  ),
+  webhookDeliveriesDropped: metricsRegistry.counter(
+    'quicklink_webhook_deliveries_dropped_total',
+    'Pending webhook deliveries dropped because their webhook had too many queued'
+  )
+};
+
 /**
  * Request Logger Class
  */
@@ -76,70 +571,71 @@ class RequestLogger {
     return crypto.randomBytes(8).toString('hex');
   }
 
-  getClientIp(req) {
-    return req.headers['x-forwarded-for'] || 
-           req.headers['x-real-ip'] || 
-           req.connection?.remoteAddress || 
-           req.socket?.remoteAddress ||
-           req.ip || 
-           'unknown';
+  // Reuses an upstream X-Request-Id when it looks like an ID, so one request
+  // can be followed across services
+  resolveRequestId(req) {
+    const incoming = req.get('X-Request-Id');
+    return incoming && /^[A-Za-z0-9._:-]{1,128}$/.test(incoming) ? incoming : this.generateRequestId();
   }
 
-  parseUserAgent(userAgent) {
-    if (!userAgent) return 'unknown';
-    
-    if (userAgent.includes('Chrome')) return 'Chrome';
-    if (userAgent.includes('Firefox')) return 'Firefox';
-    if (userAgent.includes('Safari')) return 'Safari';
-    if (userAgent.includes('Edge')) return 'Edge';
-    if (userAgent.includes('curl')) return 'curl';
-    if (userAgent.includes('Postman')) return 'Postman';
-    
-    return 'other';
+  getClientIp(req) {
+    return getClientIp(req);
   }
 
   middleware() {
     return (req, res, next) => {
-      const requestId = this.generateRequestId();
+      const requestId = this.resolveRequestId(req);
       const startTime = Date.now();
+      const startHrTime = process.hrtime.bigint();
       
       this.requestCount++;
       req.requestId = requestId;
-      
-      const requestData = {
-        id: requestId,
+      res.set('X-Request-Id', requestId);
+
+      logger.debug('Request received', {
+        requestId,
         method: req.method,
         url: req.originalUrl || req.url,
         ip: this.getClientIp(req),
-        userAgent: this.parseUserAgent(req.headers['user-agent']),
-        timestamp: new Date().toISOString()
-      };
-
-      console.log(`📥 [${requestId}] ${req.method} ${req.url} from ${requestData.ip}`);
+        userAgent: parseUserAgent(req.headers['user-agent']).browser
+      });
 
       const originalEnd = res.end;
       res.end = function(chunk, encoding) {
         const duration = Date.now() - startTime;
-        
+        const completed = {
+          requestId,
+          method: req.method,
+          url: req.originalUrl || req.url,
+          status: res.statusCode,
+          durationMs: duration
+        };
+
         if (res.statusCode >= 500) {
-          console.error(`❌ [${requestId}] ${res.statusCode} in ${duration}ms - Server Error`);
+          logger.error('Request failed', completed);
         } else if (res.statusCode >= 400) {
-          console.warn(`⚠️  [${requestId}] ${res.statusCode} in ${duration}ms - Client Error`);
-        } else if (res.statusCode >= 300) {
-          console.log(`🔄 [${requestId}] ${res.statusCode} in ${duration}ms - Redirect`);
+          logger.warn('Request rejected', completed);
         } else {
-          console.log(`✅ [${requestId}] ${res.statusCode} in ${duration}ms - Success`);
+          logger.info('Request completed', completed);
         }
 
         if (duration > 1000) {
-          console.warn(`🐌 [${requestId}] Slow request detected: ${duration}ms`);
+          logger.warn('Slow request detected', completed);
         }
 
+        // Label by route pattern rather than path so shortcodes don't each
+        // become a series
+        metrics.requestDuration.observe({
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+          status: res.statusCode
+        }, Number(process.hrtime.bigint() - startHrTime) / 1e9);
+
         // Fix: Use res as the context when calling originalEnd
         originalEnd.apply(res, [chunk, encoding]);
       };
 
-      next();
+      requestContext.run({ requestId }, next);
     };
   }
 
@@ -155,581 +651,4514 @@ class RequestLogger {
 }
 
 /**
- * Shortcode Generator Class
+ * Parses an IPv4 or IPv6 address into its family and numeric value.
+ * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are treated as IPv4.
+ * Returns null for anything that isn't an IP address.
  */
-class ShortcodeGenerator {
-  constructor() {
-    this.charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    // Fix: Ensure the charset is consistent and well-tested
-    this.readableCharset = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    this.counter = Math.floor(Math.random() * 1000);
-    console.log('🎲 Shortcode generator initialized');
+const parseIp = (address) => {
+  if (typeof address !== 'string') return null;
+
+  // Drop IPv6 zone IDs (fe80::1%eth0)
+  const text = address.trim().split('%')[0];
+  const family = net.isIP(text);
+
+  if (family === 4) {
+    const value = text.split('.').reduce((acc, part) => (acc << 8n) + BigInt(part), 0n);
+    return { family: 4, value };
   }
 
-  generateRandom(length = 6, readable = false) {
-    const chars = readable ? this.readableCharset : this.charset;
-    let result = '';
-    
-    // Ensure we're using secure random generation
-    for (let i = 0; i < length; i++) {
-      const randomIndex = Math.floor(Math.random() * chars.length);
-      result += chars.charAt(randomIndex);
+  if (family === 6) {
+    let groupsText = text;
+    const embedded = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (embedded) {
+      const [a, b, c, d] = embedded.slice(1).map(Number);
+      groupsText = text.slice(0, -embedded[0].length) +
+        `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
     }
-    
-    return result;
-  }
 
-  generateFromUrl(url, length = 6) {
-    const hash = crypto.createHash('md5').update(url).digest('hex');
-    let result = '';
-    
-    for (let i = 0; i < length; i++) {
-      const index = parseInt(hash.substr(i * 2, 2), 16) % this.charset.length;
-      result += this.charset[index];
+    const [head, tail] = groupsText.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+      ? headGroups
+      : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+    const value = groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+    if (value >> 32n === 0xffffn) {
+      return { family: 4, value: value & 0xffffffffn };
     }
-    
-    return result;
+    return { family: 6, value };
   }
 
-  generateSequential(length = 6) {
-    this.counter = (this.counter + 1) % 10000;
-    const timestamp = Date.now();
-    const combined = timestamp.toString(36) + this.counter.toString(36);
-    
-    let result = combined.slice(-length);
-    
-    while (result.length < length) {
-      result = this.charset[Math.floor(Math.random() * this.charset.length)] + result;
-    }
-    
-    return result;
+  return null;
+};
+
+const IP_BITS = { 4: 32, 6: 128 };
+
+/**
+ * Parses "address/prefix" (or a bare address) into its family, prefix length
+ * and network value. Returns null when invalid.
+ */
+const parseCidr = (cidr) => {
+  if (typeof cidr !== 'string') return null;
+
+  const [addressText, prefixText] = cidr.trim().split('/');
+  const ip = parseIp(addressText);
+  if (!ip) return null;
+
+  let prefix = prefixText === undefined ? IP_BITS[ip.family] : Number(prefixText);
+  // ::ffff:a.b.c.d/120 style networks come back as IPv4
+  if (ip.family === 4 && addressText.includes(':') && prefixText !== undefined) {
+    prefix -= 96;
+  }
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > IP_BITS[ip.family]) {
+    return null;
   }
 
-  async generate(options = {}, existsCallback = null) {
-    const {
-      length = 6,
-      strategy = 'random',
-      url = null,
-      readable = false,
-      maxAttempts = 10
-    } = options;
+  const shift = BigInt(IP_BITS[ip.family] - prefix);
+  return { family: ip.family, prefix, network: (ip.value >> shift) << shift };
+};
 
-    let shortcode;
-    let attempts = 0;
+const ipInCidr = (ip, cidr) => {
+  if (!ip || !cidr || ip.family !== cidr.family) return false;
 
-    do {
-      attempts++;
-      
-      switch (strategy) {
-        case 'url-based':
-          if (!url) throw new Error('URL required for url-based strategy');
-          shortcode = this.generateFromUrl(url, length);
-          break;
-        case 'sequential':
-          shortcode = this.generateSequential(length);
-          break;
-        default:
-          shortcode = this.generateRandom(length, readable);
-      }
+  const shift = BigInt(IP_BITS[ip.family] - cidr.prefix);
+  return (ip.value >> shift) === (cidr.network >> shift);
+};
 
-      if (!existsCallback) {
-        break;
-      }
+/**
+ * GeoIP Database Class
+ *
+ * Offline IP geolocation from a CSV file of "network,country,region,city"
+ * rows (CIDR networks, IPv4 or IPv6; region and city optional; a header row
+ * is skipped). Networks are indexed per prefix length so a lookup is one map
+ * probe per distinct prefix, and nested networks resolve to the most
+ * specific match. The file is watched and reloaded when it changes; a file
+ * that fails to load leaves the previous data in place.
+ */
+class GeoIpDatabase {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.tables = { 4: [], 6: [] };
+    this.size = 0;
+    this.loadedAt = null;
+  }
 
-      const exists = await existsCallback(shortcode);
-      if (!exists) {
-        break;
-      }
+  load() {
+    const rows = parseCsv(fs.readFileSync(this.filePath, 'utf8'));
+    const prefixMaps = { 4: new Map(), 6: new Map() };
+    let size = 0;
+    let skipped = 0;
 
-      console.log(`🔄 Collision detected for ${shortcode}, retrying... (attempt ${attempts})`);
+    rows.forEach((row, index) => {
+      const [network, country, region, city] = row.map(cell => cell.trim());
+      const cidr = parseCidr(network);
 
-      if (attempts >= maxAttempts) {
-        console.warn(`⚠️ Max attempts reached, generating longer random code`);
-        shortcode = this.generateRandom(length + 2, readable);
-        break;
+      if (!cidr || !country) {
+        // A header row is expected, anything else is worth a warning
+        if (index > 0) skipped++;
+        return;
       }
 
-    } while (attempts < maxAttempts);
+      const shift = BigInt(IP_BITS[cidr.family] - cidr.prefix);
+      const byPrefix = prefixMaps[cidr.family];
+      if (!byPrefix.has(cidr.prefix)) {
+        byPrefix.set(cidr.prefix, new Map());
+      }
+      byPrefix.get(cidr.prefix).set(cidr.network >> shift, {
+        country: country.toUpperCase(),
+        region: region || null,
+        city: city || null
+      });
+      size++;
+    });
 
-    console.log(`✨ Generated shortcode: ${shortcode} (strategy: ${strategy}, attempts: ${attempts})`);
-    return shortcode;
-  }
+    // Most specific prefixes first
+    const toTable = (byPrefix) => Array.from(byPrefix.entries()).sort(([a], [b]) => b - a);
+    this.tables = { 4: toTable(prefixMaps[4]), 6: toTable(prefixMaps[6]) };
+    this.size = size;
+    this.loadedAt = new Date();
 
-  isValid(shortcode) {
-    if (!shortcode || typeof shortcode !== 'string') {
-      return false;
+    if (skipped > 0) {
+      logger.warn('Skipped invalid GeoIP rows', { file: this.filePath, skipped });
     }
+    logger.info('GeoIP database loaded', { file: this.filePath, networks: size });
+  }
 
-    if (shortcode.length < 3 || shortcode.length > 20) {
-      return false;
-    }
+  watch(interval = GEOIP_WATCH_INTERVAL) {
+    fs.watchFile(this.filePath, { interval }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs || current.mtimeMs === 0) return;
 
-    const validPattern = /^[a-zA-Z0-9_-]+$/;
-    return validPattern.test(shortcode);
+      try {
+        this.load();
+      } catch (error) {
+        logger.error('Failed to reload GeoIP database, keeping previous data', { file: this.filePath, error });
+      }
+    }).unref();
   }
 
-  getStats() {
-    return {
-      charset: this.charset,
-      charsetLength: this.charset.length,
-      possibleCombinations: {
-        length4: Math.pow(this.charset.length, 4),
-        length6: Math.pow(this.charset.length, 6),
-        length8: Math.pow(this.charset.length, 8)
-      },
-      counter: this.counter
-    };
+  lookup(address) {
+    const ip = typeof address === 'string' ? parseIp(address) : address;
+    if (!ip) return null;
+
+    const bits = IP_BITS[ip.family];
+    for (const [prefix, networks] of this.tables[ip.family]) {
+      const location = networks.get(ip.value >> BigInt(bits - prefix));
+      if (location) {
+        return location;
+      }
+    }
+    return null;
   }
 }
 
-/**
- * Memory Store Class
- */
-class MemoryStore {
-  constructor() {
-    this.urls = new Map();
-    this.analytics = new Map();
-    this.cache = new Map();
-    this.cacheSize = 1000;
-    
-    this.stats = {
-      totalUrls: 0,
-      totalClicks: 0,
-      createdToday: 0,
-      lastCleanup: Date.now()
-    };
-    
-    console.log('📦 Memory store initialized');
+const UNKNOWN_LOCATION = { country: 'Unknown', region: null, city: null };
+const LOCAL_LOCATION = { country: 'Local', region: null, city: null };
+const LOOPBACK_NETWORKS = [parseCidr('127.0.0.0/8'), parseCidr('::1/128')];
+
+// Resolves a client IP to { country, region, city } using the GeoIP database
+// when one is configured; loopback addresses are reported as 'Local'
+const getLocationFromIp = (address) => {
+  const ip = parseIp(address);
+  if (!ip) return UNKNOWN_LOCATION;
+
+  if (LOOPBACK_NETWORKS.some(network => ipInCidr(ip, network))) {
+    return LOCAL_LOCATION;
   }
 
-  storeUrl(shortcode, urlData) {
-    const now = new Date();
-    
-    const record = {
-      shortcode,
-      originalUrl: urlData.url,
-      description: urlData.description || '',
-      createdAt: now,
-      expiresAt: new Date(now.getTime() + (urlData.expiresIn * 60 * 1000)),
-      isActive: true,
-      clickCount: 0,
-      lastAccessed: null
-    };
+  return (geoIp && geoIp.lookup(ip)) || UNKNOWN_LOCATION;
+};
 
-    this.urls.set(shortcode, record);
-    this.analytics.set(shortcode, []);
-    
-    this.stats.totalUrls++;
-    this.stats.createdToday++;
-    
-    console.log(`💾 Stored URL: ${shortcode} -> ${urlData.url}`);
-    return record;
+const getCountryFromIp = (ip) => {
+  return getLocationFromIp(ip).country;
+};
+
+// Private, loopback, link-local, shared, documentation, multicast and other
+// reserved ranges that short links and webhooks must never point at
+const BLOCKED_NETWORKS = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+  '172.16.0.0/12', '192.0.0.0/24', '192.0.2.0/24', '192.88.99.0/24', '192.168.0.0/16',
+  '198.18.0.0/15', '198.51.100.0/24', '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+  '::/128', '::1/128', '64:ff9b:1::/48', '100::/64', '2001::/32', '2001:db8::/32',
+  '2002::/16', 'fc00::/7', 'fe80::/10', 'fec0::/10', 'ff00::/8'
+].map(parseCidr);
+
+// NAT64 addresses carry an IPv4 address in their low 32 bits
+const NAT64_NETWORK = parseCidr('64:ff9b::/96');
+
+const isBlockedAddress = (ip) => {
+  if (!ip) return false;
+  if (BLOCKED_NETWORKS.some(network => ipInCidr(ip, network))) return true;
+
+  if (ipInCidr(ip, NAT64_NETWORK)) {
+    return isBlockedAddress({ family: 4, value: ip.value & 0xffffffffn });
   }
+  return false;
+};
 
-  getUrl(shortcode) {
-    if (this.cache.has(shortcode)) {
-      const cached = this.cache.get(shortcode);
-      if (cached.expiresAt > new Date()) {
-        return cached;
-      } else {
-        this.cache.delete(shortcode);
-      }
-    }
+// Special-use names that only ever resolve inside a private network
+const LOCAL_DOMAINS = ['localhost', 'local', 'internal', 'localdomain', 'home.arpa'];
 
-    const record = this.urls.get(shortcode);
-    if (!record) {
-      return null;
-    }
+const isLocalHostname = (hostname) => {
+  // Single-label names are resolved against the server's search domains
+  if (!hostname.includes('.')) return true;
+  return LOCAL_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+};
 
-    if (record.expiresAt <= new Date()) {
-      record.isActive = false;
-      return null;
+// Scripts with letters that render like Latin ones
+const CONFUSABLE_SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Armenian', 'Cherokee'];
+const SCRIPT_PATTERNS = Object.fromEntries(
+  CONFUSABLE_SCRIPTS.map(script => [script, new RegExp(`\\p{Script=${script}}`, 'u')])
+);
+
+// Cyrillic and Greek letters that are near-identical to Latin letters
+const LATIN_LOOKALIKES = {
+  Cyrillic: new Set('аԁеһіјӏоԛрѕсԝхуѵ'),
+  Greek: new Set('αικνορτυχ')
+};
+
+/**
+ * Returns the reason an internationalized hostname looks like a homograph
+ * attack, or null. A label is rejected when it mixes Latin with Cyrillic,
+ * Greek, Armenian or Cherokee letters (or mixes those with each other), or
+ * when it is written entirely in Latin lookalikes from another script under
+ * a top-level domain of a different script ("аррӏе.com").
+ */
+const findHomograph = (hostname) => {
+  const labels = domainToUnicode(hostname).split('.');
+  const tld = labels[labels.length - 1];
+
+  for (const label of labels) {
+    const letters = Array.from(label).filter(char => /\p{L}/u.test(char));
+    const scripts = CONFUSABLE_SCRIPTS.filter(script => letters.some(char => SCRIPT_PATTERNS[script].test(char)));
+
+    if (scripts.length > 1) {
+      return `"${label}" mixes ${scripts.join(' and ')} characters`;
     }
 
-    if (record.clickCount > 5) {
-      this._addToCache(shortcode, record);
+    const [script] = scripts;
+    const lookalikes = LATIN_LOOKALIKES[script];
+    if (lookalikes && letters.length > 0 &&
+        letters.every(char => lookalikes.has(char)) &&
+        !SCRIPT_PATTERNS[script].test(tld)) {
+      return `"${label}" imitates a Latin name using ${script} characters`;
     }
+  }
+  return null;
+};
 
-    return record;
+/**
+ * Domain List Class
+ *
+ * A set of domains read from a text file, one per line, with '#' starting a
+ * comment. An entry matches the domain itself and all of its subdomains
+ * ("*.example.com" is accepted and means the same); internationalized
+ * entries are compared in their punycode form. Like the GeoIP database the
+ * file is watched, and a file that fails to load keeps the previous entries.
+ */
+class DomainList {
+  constructor(filePath, name) {
+    this.filePath = filePath;
+    this.name = name;
+    this.domains = new Set();
   }
 
-  recordClick(shortcode, metadata = {}) {
-    const record = this.urls.get(shortcode);
-    if (!record) {
-      return false;
+  load() {
+    const domains = new Set();
+
+    fs.readFileSync(this.filePath, 'utf8').split(/\r?\n/).forEach(line => {
+      const entry = line.replace(/#.*/, '').trim().replace(/^\*\./, '').replace(/\.$/, '');
+      const domain = entry && domainToASCII(entry);
+      if (domain) {
+        domains.add(domain);
+      } else if (entry) {
+        logger.warn('Skipped invalid domain list entry', { list: this.name, file: this.filePath, entry });
+      }
+    });
+
+    this.domains = domains;
+    logger.info('Domain list loaded', { list: this.name, file: this.filePath, domains: domains.size });
+  }
+
+  watch(interval = URL_LIST_WATCH_INTERVAL) {
+    fs.watchFile(this.filePath, { interval }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs || current.mtimeMs === 0) return;
+
+      try {
+        this.load();
+      } catch (error) {
+        logger.error('Failed to reload domain list, keeping previous entries', { list: this.name, file: this.filePath, error });
+      }
+    }).unref();
+  }
+
+  matches(hostname) {
+    const labels = hostname.split('.');
+    return labels.some((label, index) => this.domains.has(labels.slice(index).join('.')));
+  }
+}
+
+/**
+ * URL Safety Checker Class
+ *
+ * Decides whether a URL may be used as a link destination or webhook
+ * receiver. Rejects non-HTTP(S) schemes, embedded credentials, literal and
+ * DNS-resolved addresses in BLOCKED_NETWORKS (the WHATWG parser has already
+ * normalized decimal, octal and hex IPv4 forms), local-only names,
+ * blocklisted domains and homograph lookalikes. Allowlisted domains skip the
+ * blocklist and homograph checks but never the address checks.
+ */
+class UrlSafetyChecker {
+  constructor(options = {}) {
+    const {
+      resolveDns = URL_DNS_CHECK,
+      dnsTimeout = URL_DNS_TIMEOUT_MS,
+      blocklist = null,
+      allowlist = null
+    } = options;
+
+    this.resolveDns = resolveDns;
+    this.dnsTimeout = dnsTimeout;
+    this.blocklist = blocklist;
+    this.allowlist = allowlist;
+  }
+
+  async check(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      throw new ValidationError('Invalid URL format');
     }
 
-    const now = new Date();
-    
-    record.clickCount++;
-    record.lastAccessed = now;
-    this.stats.totalClicks++;
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      throw new ValidationError('Only HTTP and HTTPS URLs are supported');
+    }
 
-    const clickData = {
-      timestamp: now,
-      ip: metadata.ip || 'unknown',
-      userAgent: metadata.userAgent || 'unknown',
-      referer: metadata.referer || 'direct',
-      country: this._getCountryFromIp(metadata.ip),
-      ...metadata
-    };
+    if (target.username || target.password) {
+      throw new ValidationError('URLs with embedded credentials are not allowed');
+    }
 
-    const analytics = this.analytics.get(shortcode) || [];
-    analytics.push(clickData);
-    
-    if (analytics.length > 100) {
-      analytics.splice(0, analytics.length - 100);
+    const hostname = target.hostname.replace(/\.$/, '');
+    const literal = parseIp(hostname.replace(/^\[(.*)\]$/, '$1'));
+    if (literal) {
+      if (isBlockedAddress(literal)) {
+        throw new ValidationError('Private/local URLs are not allowed');
+      }
+      return;
     }
-    
-    this.analytics.set(shortcode, analytics);
 
-    if (this.cache.has(shortcode)) {
-      this.cache.set(shortcode, { ...record });
+    if (isLocalHostname(hostname)) {
+      throw new ValidationError('Private/local URLs are not allowed');
     }
 
-    console.log(`👆 Click recorded: ${shortcode} (total: ${record.clickCount})`);
-    return true;
+    if (!(this.allowlist && this.allowlist.matches(hostname))) {
+      if (this.blocklist && this.blocklist.matches(hostname)) {
+        throw new ValidationError(`Destination domain ${hostname} is blocked`);
+      }
+
+      const homograph = findHomograph(hostname);
+      if (homograph) {
+        throw new ValidationError(`Lookalike domain rejected: ${homograph}`);
+      }
+    }
+
+    if (this.resolveDns) {
+      const addresses = await this._resolve(hostname);
+      if (addresses.some(({ address }) => isBlockedAddress(parseIp(address)))) {
+        throw new ValidationError('Destination resolves to a private/local address');
+      }
+    }
   }
 
-  getAnalytics(shortcode) {
-    const record = this.urls.get(shortcode);
-    const analytics = this.analytics.get(shortcode) || [];
+  // Allowlisted destinations count as verified for the interstitial page
+  isAllowlisted(url) {
+    if (!this.allowlist) return false;
 
-    if (!record) {
-      return null;
+    try {
+      return this.allowlist.matches(new URL(url).hostname.replace(/\.$/, ''));
+    } catch {
+      return false;
     }
+  }
 
-    const clicksByDay = this._groupClicksByDay(analytics);
-    const topReferers = this._getTopReferers(analytics);
-    const topCountries = this._getTopCountries(analytics);
+  async _resolve(hostname) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new ValidationError('Timed out resolving destination host')), this.dnsTimeout);
+    });
 
-    return {
-      shortcode,
-      originalUrl: record.originalUrl,
-      description: record.description,
-      createdAt: record.createdAt,
-      expiresAt: record.expiresAt,
-      isActive: record.isActive && record.expiresAt > new Date(),
-      totalClicks: record.clickCount,
-      lastAccessed: record.lastAccessed,
-      clicksByDay,
-      topReferers,
-      topCountries,
-      recentClicks: analytics.slice(-10)
-    };
+    try {
+      return await Promise.race([dns.promises.lookup(hostname, { all: true, verbatim: true }), timeout]);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new ValidationError(`Destination host ${hostname} could not be resolved`);
+    } finally {
+      clearTimeout(timer);
+    }
   }
+}
+
+// dns.lookup replacement for outgoing webhook requests: refuses blocked
+// addresses at connect time so a receiver cannot re-point its hostname at a
+// private network after registration (DNS rebinding)
+const safeDnsLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(parseIp(entry.address)));
+    if (blocked) {
+      return callback(new Error(`Refusing to connect to private address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Client address as resolved by Express: the socket address, or for requests
+ * arriving through TRUSTED_PROXIES the nearest untrusted X-Forwarded-For hop.
+ * IPv4-mapped IPv6 addresses are reported in plain IPv4 form.
+ */
+const getClientIp = (req) => {
+  const address = req.ip || req.socket?.remoteAddress;
+  if (!address) return 'unknown';
 
-  exists(shortcode) {
-    return this.urls.has(shortcode);
+  return address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+};
+
+// Network part of a client address (/24 for IPv4, /48 for IPv6), which is
+// all that is kept with a click once the visitor ID and location are known
+const truncateIp = (address) => {
+  const ip = parseIp(address);
+  if (!ip) return 'unknown';
+
+  if (ip.family === 4) {
+    const network = ip.value >> 8n;
+    return `${[16n, 8n, 0n].map(shift => (network >> shift) & 0xffn).join('.')}.0`;
   }
 
-  cleanupExpiredUrls() {
-    const now = new Date();
-    let cleanedCount = 0;
+  const network = ip.value >> 80n;
+  return `${[32n, 16n, 0n].map(shift => ((network >> shift) & 0xffffn).toString(16)).join(':')}::`;
+};
 
-    for (const [shortcode, record] of this.urls.entries()) {
-      if (record.expiresAt <= now) {
-        this.urls.delete(shortcode);
-        this.analytics.delete(shortcode);
-        this.cache.delete(shortcode);
-        cleanedCount++;
+// Keyed hash of IP and User-Agent identifying a visitor without storing
+// either; not reversible without VISITOR_ID_SECRET
+const getVisitorId = (ip, userAgent) => {
+  return crypto.createHmac('sha256', VISITOR_ID_SECRET)
+    .update(`${ip}|${userAgent || ''}`)
+    .digest('hex')
+    .slice(0, 16);
+};
+
+const HLL_SPARSE_LIMIT = 256;
+
+/**
+ * HyperLogLog Class
+ *
+ * Estimates the number of distinct visitor IDs. Small sets are counted
+ * exactly; past HLL_SPARSE_LIMIT IDs the counter switches to 2^precision
+ * registers (4 KB at the default precision of 12, ~1.6% standard error).
+ * Visitor IDs are already uniformly distributed hashes, so their hex digits
+ * are used directly.
+ */
+class HyperLogLog {
+  constructor(precision = 12) {
+    this.precision = precision;
+    this.size = 1 << precision;
+    this.ids = new Set();
+    this.registers = null;
+  }
+
+  add(id) {
+    if (!this.registers) {
+      this.ids.add(id);
+      if (this.ids.size > HLL_SPARSE_LIMIT) {
+        this._densify();
       }
+      return;
     }
 
-    this.stats.lastCleanup = now.getTime();
-    
-    if (cleanedCount > 0) {
-      console.log(`🧹 Cleaned up ${cleanedCount} expired URLs`);
+    const index = parseInt(id.slice(0, 8), 16) >>> (32 - this.precision);
+    const rank = Math.clz32(parseInt(id.slice(8, 16), 16)) + 1;
+    if (rank > this.registers[index]) {
+      this.registers[index] = rank;
     }
-
-    return cleanedCount;
   }
 
-  getStats() {
-    const now = Date.now();
-    const uptime = now - (this.stats.lastCleanup - 24 * 60 * 60 * 1000);
+  count() {
+    if (!this.registers) {
+      return this.ids.size;
+    }
 
-    return {
-      totalUrls: this.urls.size,
-      totalClicks: this.stats.totalClicks,
-      activeUrls: Array.from(this.urls.values()).filter(r => r.isActive && r.expiresAt > new Date()).length,
-      cacheSize: this.cache.size,
-      memoryUsage: {
-        urls: this.urls.size,
-        analytics: this.analytics.size,
-        cache: this.cache.size
-      },
-      uptime: Math.floor(uptime / 1000)
-    };
-  }
+    const m = this.size;
+    const alpha = 0.7213 / (1 + 1.079 / m);
+    let sum = 0;
+    let zeros = 0;
+    for (const register of this.registers) {
+      sum += Math.pow(2, -register);
+      if (register === 0) zeros++;
+    }
 
-  _addToCache(shortcode, record) {
-    if (this.cache.size >= this.cacheSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+    const estimate = alpha * m * m / sum;
+    // Linear counting is more accurate while many registers are still empty
+    if (estimate <= 2.5 * m && zeros > 0) {
+      return Math.round(m * Math.log(m / zeros));
     }
-    this.cache.set(shortcode, { ...record });
+    return Math.round(estimate);
   }
 
-  _getCountryFromIp(ip) {
-    if (!ip || ip === 'unknown') return 'Unknown';
-    
-    const countryMap = {
-      '127.0.0.1': 'Local',
-      '::1': 'Local'
-    };
-    
-    return countryMap[ip] || 'Unknown';
+  // Folds another counter of the same precision into this one
+  merge(other) {
+    if (!other.registers) {
+      other.ids.forEach(id => this.add(id));
+      return this;
+    }
+
+    if (!this.registers) {
+      this._densify();
+    }
+    for (let i = 0; i < this.size; i++) {
+      if (other.registers[i] > this.registers[i]) {
+        this.registers[i] = other.registers[i];
+      }
+    }
+    return this;
   }
 
-  _groupClicksByDay(analytics) {
-    const groups = {};
-    analytics.forEach(click => {
-      const day = click.timestamp.toISOString().split('T')[0];
-      groups[day] = (groups[day] || 0) + 1;
-    });
-    return groups;
+  toJSON() {
+    return this.registers
+      ? { precision: this.precision, registers: Buffer.from(this.registers).toString('base64') }
+      : { precision: this.precision, ids: Array.from(this.ids) };
   }
 
-  _getTopReferers(analytics) {
-    const referers = {};
-    analytics.forEach(click => {
-      const ref = click.referer || 'direct';
-      referers[ref] = (referers[ref] || 0) + 1;
-    });
-    
-    return Object.entries(referers)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5)
-      .map(([referer, count]) => ({ referer, count }));
+  static fromJSON(data) {
+    const counter = new HyperLogLog(data.precision);
+    if (data.registers) {
+      counter.registers = new Uint8Array(Buffer.from(data.registers, 'base64'));
+    } else {
+      data.ids.forEach(id => counter.ids.add(id));
+    }
+    return counter;
   }
 
-  _getTopCountries(analytics) {
-    const countries = {};
-    analytics.forEach(click => {
-      const country = click.country || 'Unknown';
-      countries[country] = (countries[country] || 0) + 1;
-    });
-    
-    return Object.entries(countries)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5)
-      .map(([country, count]) => ({ country, count }));
+  _densify() {
+    this.registers = new Uint8Array(this.size);
+    const ids = this.ids;
+    this.ids = new Set();
+    ids.forEach(id => this.add(id));
   }
 }
 
-// ============================================================================
-// VALIDATION SCHEMAS
-// ============================================================================
+// Rollup buckets use smaller unique counters (1 KB, ~3% error) since a busy
+// link has one per hour
+const ROLLUP_HLL_PRECISION = 10;
 
-const urlSchema = Joi.string()
-  .pattern(/^https?:\/\/.+/)
-  .message('URL must start with http:// or https://')
-  .max(2048)
-  .required();
+// Per-value click counts kept in every rollup bucket
+const ROLLUP_COUNT_FIELDS = ['referers', 'countries', 'devices', 'oses', 'browsers', 'rules', 'variants'];
 
-const shortcodeSchema = Joi.string()
-  .pattern(/^[a-zA-Z0-9_-]+$/)
-  .min(3)
-  .max(20)
-  .message('Shortcode must be 3-20 characters, alphanumeric, underscore, or dash only');
+/**
+ * Rollup buckets aggregate the clicks of one hour or day: visit counts,
+ * unique visitors and per-referer/country/device/OS/browser/rule/variant
+ * counts.
+ */
+const createRollupBucket = () => ({
+  clicks: 0,
+  scans: 0,
+  visitors: new HyperLogLog(ROLLUP_HLL_PRECISION),
+  ...Object.fromEntries(ROLLUP_COUNT_FIELDS.map(field => [field, {}]))
+});
 
-const schemas = {
-  createUrl: Joi.object({
-    url: urlSchema,
-    shortcode: shortcodeSchema.optional(),
-    expiresIn: Joi.number()
-      .integer()
-      .min(1)
-      .max(365 * 24 * 60)
-      .default(30)
-      .messages({
-        'number.min': 'Expiration must be at least 1 minute',
-        'number.max': 'Expiration cannot exceed 1 year'
-      }),
-    description: Joi.string()
-      .max(200)
-      .optional()
-      .allow('')
-  }).options({ stripUnknown: true }),
+const addClickToRollup = (bucket, click) => {
+  if (click.source === 'qr') {
+    bucket.scans++;
+  } else {
+    bucket.clicks++;
+  }
+  if (click.visitorId) {
+    bucket.visitors.add(click.visitorId);
+  }
 
-  getStats: Joi.object({
-    shortcode: Joi.string()
-      .pattern(/^[a-zA-Z0-9_-]+$/)
-      .min(3)
-      .max(20)
-      .required()
-  })
+  const increment = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+  };
+  increment(bucket.referers, click.referer || 'direct');
+  increment(bucket.countries, click.country || 'Unknown');
+  increment(bucket.devices, click.device || 'unknown');
+  increment(bucket.oses, click.os || 'unknown');
+  increment(bucket.browsers, click.userAgent || 'unknown');
+  increment(bucket.rules, click.rule || 'default');
+  if (click.variant) {
+    increment(bucket.variants, click.variant);
+  }
 };
 
-// ============================================================================
-// MIDDLEWARE FUNCTIONS
-// ============================================================================
+const mergeRollupBuckets = (target, source) => {
+  target.clicks += source.clicks;
+  target.scans += source.scans;
+  target.visitors.merge(source.visitors);
 
-const validateInput = (schemaName, source = 'body') => {
-  return (req, res, next) => {
-    const schema = schemas[schemaName];
-    if (!schema) {
-      return next(new Error(`Unknown validation schema: ${schemaName}`));
-    }
+  ROLLUP_COUNT_FIELDS.forEach(field => {
+    Object.entries(source[field]).forEach(([key, count]) => {
+      target[field][key] = (target[field][key] || 0) + count;
+    });
+  });
+  return target;
+};
 
-    let dataToValidate;
-    switch (source) {
-      case 'body':
-        dataToValidate = req.body;
-        break;
-      case 'params':
-        dataToValidate = req.params;
+// Buckets saved before a count field existed get it empty
+const reviveRollupBucket = (bucket) => ({
+  ...createRollupBucket(),
+  ...bucket,
+  visitors: HyperLogLog.fromJSON(bucket.visitors)
+});
+
+// Most common entries of a { key: count } object as [{ [label]: key, count }]
+const topCounts = (counts, label, limit = 5) => {
+  return Object.entries(counts)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, limit)
+    .map(([key, count]) => ({ [label]: key, count }));
+};
+
+/**
+ * Parses an Accept-Language header into lowercase language tags ordered by
+ * preference, dropping q=0 entries.
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header) return [];
+
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim().toLowerCase(), q: isNaN(q) ? 0 : q, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.tag);
+};
+
+// Declared crawlers and link-preview fetchers, checked before browsers since
+// many of them also claim to be Chrome or Safari
+const KNOWN_BOTS = [
+  ['Slackbot', /Slackbot/i, 'preview'],
+  ['Facebook', /facebookexternalhit|Facebot/i, 'preview'],
+  ['Twitterbot', /Twitterbot/i, 'preview'],
+  ['LinkedInBot', /LinkedInBot/i, 'preview'],
+  ['WhatsApp', /WhatsApp/i, 'preview'],
+  ['TelegramBot', /TelegramBot/i, 'preview'],
+  ['Discordbot', /Discordbot/i, 'preview'],
+  ['Skype', /SkypeUriPreview/i, 'preview'],
+  ['Embedly', /Embedly|Iframely/i, 'preview'],
+  ['Pinterestbot', /Pinterest/i, 'preview'],
+  ['Googlebot', /Googlebot|AdsBot-Google|Mediapartners-Google|Google-InspectionTool/i, 'crawler'],
+  ['Bingbot', /bingbot|BingPreview/i, 'crawler'],
+  ['DuckDuckBot', /DuckDuckBot/i, 'crawler'],
+  ['Baiduspider', /Baiduspider/i, 'crawler'],
+  ['YandexBot', /YandexBot|YandexMobileBot/i, 'crawler'],
+  ['Applebot', /Applebot/i, 'crawler'],
+  ['HeadlessChrome', /HeadlessChrome|PhantomJS|Lighthouse/i, 'crawler'],
+  ['Other bot', /bot\b|crawler|spider|crawling|slurp|archiver/i, 'crawler']
+];
+
+const KNOWN_BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Yandex Browser', /YaBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari\//],
+  ['Internet Explorer', /(?:MSIE |Trident\/.*rv:)([\d.]+)/],
+  ['curl', /curl\/([\d.]+)/],
+  ['Wget', /Wget\/([\d.]+)/],
+  ['Postman', /PostmanRuntime\/([\d.]+)/],
+  ['axios', /axios\/([\d.]+)/],
+  ['python-requests', /python-requests\/([\d.]+)/]
+];
+
+const WINDOWS_VERSIONS = { '10.0': '10', '6.3': '8.1', '6.2': '8', '6.1': '7', '6.0': 'Vista', '5.1': 'XP' };
+
+const parseOs = (ua) => {
+  let match;
+  if ((match = ua.match(/Windows Phone(?: OS)? ([\d.]+)/))) return { os: 'Windows Phone', osVersion: match[1] };
+  if ((match = ua.match(/(?:iPhone|iPad|iPod).*? OS ([\d_]+)/))) return { os: 'iOS', osVersion: match[1].replace(/_/g, '.') };
+  if ((match = ua.match(/Android ([\d.]+)/))) return { os: 'Android', osVersion: match[1] };
+  if (/Android/.test(ua)) return { os: 'Android', osVersion: null };
+  if ((match = ua.match(/Windows NT ([\d.]+)/))) return { os: 'Windows', osVersion: WINDOWS_VERSIONS[match[1]] || match[1] };
+  if ((match = ua.match(/Mac OS X ([\d_.]+)/))) return { os: 'macOS', osVersion: match[1].replace(/_/g, '.') };
+  if (/CrOS/.test(ua)) return { os: 'Chrome OS', osVersion: null };
+  if (/Linux/.test(ua)) return { os: 'Linux', osVersion: null };
+  return { os: 'unknown', osVersion: null };
+};
+
+const parseDevice = (ua, os) => {
+  if (/iPad|Tablet|PlayBook|Silk|Kindle/i.test(ua) || (os === 'Android' && !/Mobile/.test(ua))) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Windows Phone|BlackBerry|Opera Mini/i.test(ua)) {
+    return 'mobile';
+  }
+  if (['Windows', 'macOS', 'Linux', 'Chrome OS'].includes(os)) {
+    return 'desktop';
+  }
+  return 'other';
+};
+
+/**
+ * Parses a User-Agent header into browser, version, OS and device type
+ * ('mobile', 'tablet', 'desktop' or 'other' for tools and unknown clients).
+ * Crawlers and link-preview fetchers are flagged with isBot and a botType
+ * ('crawler' or 'preview'), with the bot's name in place of the browser.
+ */
+const parseUserAgent = (header) => {
+  const ua = header || '';
+  const { os, osVersion } = parseOs(ua);
+  const result = {
+    browser: 'unknown',
+    version: null,
+    os,
+    osVersion,
+    device: parseDevice(ua, os),
+    isBot: false,
+    botType: null
+  };
+
+  if (!ua) {
+    return result;
+  }
+
+  const bot = KNOWN_BOTS.find(([, pattern]) => pattern.test(ua));
+  if (bot) {
+    return { ...result, browser: bot[0], device: 'other', isBot: true, botType: bot[2] };
+  }
+
+  const browser = KNOWN_BROWSERS.find(([, pattern]) => pattern.test(ua));
+  if (browser) {
+    result.browser = browser[0];
+    result.version = ua.match(browser[1])[1];
+  } else {
+    result.browser = 'Other';
+  }
+
+  return result;
+};
+
+const getHourInTimezone = (date, timezone) => {
+  const hour = new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: timezone
+  }).format(date);
+  return parseInt(hour);
+};
+
+/**
+ * Picks the destination for a visit from a link's ordered targeting rules.
+ * A rule matches when all of its conditions match; the first match wins and
+ * the link's originalUrl is the fallback.
+ */
+const selectDestination = (record, context) => {
+  const rules = record.rules || [];
+
+  for (const [index, rule] of rules.entries()) {
+    if (rule.countries && !rule.countries.includes(String(context.country).toUpperCase())) {
+      continue;
+    }
+
+    if (rule.languages) {
+      const matchesLanguage = context.languages.some(language => rule.languages.some(wanted =>
+        language === wanted || language.startsWith(`${wanted}-`)
+      ));
+      if (!matchesLanguage) continue;
+    }
+
+    if (rule.hours) {
+      const { from, to, timezone } = rule.hours;
+      const hour = getHourInTimezone(context.now, timezone);
+      const inWindow = from <= to
+        ? hour >= from && hour < to
+        : hour >= from || hour < to;
+      if (!inWindow) continue;
+    }
+
+    return { url: rule.url, rule: rule.name || `rule-${index + 1}` };
+  }
+
+  return { url: record.originalUrl, rule: 'default' };
+};
+
+/**
+ * Picks a weighted A/B variant, keeping the visitor's previous assignment
+ * when that variant still exists.
+ */
+const selectVariant = (variants, stickyName = null) => {
+  const sticky = variants.find(variant => variant.name === stickyName);
+  if (sticky && sticky.weight > 0) {
+    return sticky;
+  }
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let roll = crypto.randomInt(totalWeight);
+
+  for (const variant of variants) {
+    if (roll < variant.weight) {
+      return variant;
+    }
+    roll -= variant.weight;
+  }
+
+  return variants[variants.length - 1];
+};
+
+const parseCookies = (header) => {
+  const cookies = {};
+  if (!header) return cookies;
+
+  header.split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) return;
+
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+
+  return cookies;
+};
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+ * CRLF/LF line endings. Returns an array of rows, each an array of strings.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+};
+
+/**
+ * Rate Limiter Class
+ *
+ * Token buckets per (route group, client). Each bucket holds up to `capacity`
+ * tokens and refills continuously at capacity per interval.
+ */
+class RateLimiter {
+  constructor(limits, keyResolver) {
+    this.limits = limits;
+    this.keyResolver = keyResolver;
+    this.buckets = new Map();
+    this.maxBuckets = 10000;
+  }
+
+  consume(group, key) {
+    const { capacity, intervalMs } = this.limits[group];
+    const refillPerMs = capacity / intervalMs;
+    const bucketKey = `${group}:${key}`;
+    const now = Date.now();
+
+    let bucket = this.buckets.get(bucketKey);
+    if (!bucket) {
+      if (this.buckets.size >= this.maxBuckets) {
+        this._sweep(now);
+      }
+      bucket = { group, tokens: capacity, updatedAt: now };
+      this.buckets.set(bucketKey, bucket);
+    } else {
+      bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+      bucket.updatedAt = now;
+    }
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+
+    return {
+      allowed,
+      limit: capacity,
+      remaining: Math.floor(bucket.tokens),
+      reset: Math.ceil((capacity - bucket.tokens) / refillPerMs / 1000),
+      retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+    };
+  }
+
+  // Whether the client has a token left in the group, without taking one
+  hasTokens(group, key) {
+    const bucket = this.buckets.get(`${group}:${key}`);
+    if (!bucket) return true;
+
+    const { capacity, intervalMs } = this.limits[group];
+    return bucket.tokens + (Date.now() - bucket.updatedAt) * (capacity / intervalMs) >= 1;
+  }
+
+  // Takes a token for the request's client, throwing RateLimitError if none is left
+  take(group, req) {
+    const result = this.consume(group, this.keyResolver(req));
+    if (!result.allowed) {
+      throw new RateLimitError(result.retryAfter);
+    }
+    return result;
+  }
+
+  middleware(group) {
+    if (!this.limits[group]) {
+      throw new Error(`Unknown rate limit group: ${group}`);
+    }
+
+    return (req, res, next) => {
+      const result = this.consume(group, this.keyResolver(req));
+
+      res.set({
+        'RateLimit-Limit': result.limit,
+        'RateLimit-Remaining': result.remaining,
+        'RateLimit-Reset': result.reset
+      });
+
+      if (!result.allowed) {
+        res.set('Retry-After', result.retryAfter);
+        return next(new RateLimitError(result.retryAfter));
+      }
+
+      next();
+    };
+  }
+
+  // Drop buckets that have refilled completely; they are equivalent to new ones
+  _sweep(now) {
+    for (const [bucketKey, bucket] of this.buckets.entries()) {
+      const { capacity, intervalMs } = this.limits[bucket.group];
+      if (bucket.tokens + (now - bucket.updatedAt) * (capacity / intervalMs) >= capacity) {
+        this.buckets.delete(bucketKey);
+      }
+    }
+  }
+}
+
+/**
+ * Shortcode Generator Class
+ */
+class ShortcodeGenerator {
+  constructor() {
+    this.charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    // Fix: Ensure the charset is consistent and well-tested
+    this.readableCharset = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    this.counter = Math.floor(Math.random() * 1000);
+    logger.debug('Shortcode generator initialized');
+  }
+
+  generateRandom(length = 6, readable = false) {
+    const chars = readable ? this.readableCharset : this.charset;
+    let result = '';
+    
+    // Ensure we're using secure random generation
+    for (let i = 0; i < length; i++) {
+      const randomIndex = Math.floor(Math.random() * chars.length);
+      result += chars.charAt(randomIndex);
+    }
+    
+    return result;
+  }
+
+  generateFromUrl(url, length = 6) {
+    const hash = crypto.createHash('md5').update(url).digest('hex');
+    let result = '';
+    
+    for (let i = 0; i < length; i++) {
+      const index = parseInt(hash.substr(i * 2, 2), 16) % this.charset.length;
+      result += this.charset[index];
+    }
+    
+    return result;
+  }
+
+  generateSequential(length = 6) {
+    this.counter = (this.counter + 1) % 10000;
+    const timestamp = Date.now();
+    const combined = timestamp.toString(36) + this.counter.toString(36);
+    
+    let result = combined.slice(-length);
+    
+    while (result.length < length) {
+      result = this.charset[Math.floor(Math.random() * this.charset.length)] + result;
+    }
+    
+    return result;
+  }
+
+  async generate(options = {}, existsCallback = null) {
+    const {
+      length = 6,
+      strategy = 'random',
+      url = null,
+      readable = false,
+      maxAttempts = 10
+    } = options;
+
+    let shortcode;
+    let attempts = 0;
+
+    do {
+      attempts++;
+      
+      switch (strategy) {
+        case 'url-based':
+          if (!url) throw new Error('URL required for url-based strategy');
+          shortcode = this.generateFromUrl(url, length);
+          break;
+        case 'sequential':
+          shortcode = this.generateSequential(length);
+          break;
+        default:
+          shortcode = this.generateRandom(length, readable);
+      }
+
+      metrics.generatorAttempts.inc({ strategy });
+
+      if (!existsCallback) {
         break;
-      case 'query':
-        dataToValidate = req.query;
+      }
+
+      const exists = await existsCallback(shortcode);
+      if (!exists) {
         break;
-      default:
-        return next(new Error(`Invalid validation source: ${source}`));
+      }
+
+      metrics.generatorCollisions.inc({ strategy });
+
+      logger.debug('Shortcode collision, retrying', { shortcode, attempt: attempts });
+
+      if (attempts >= maxAttempts) {
+        logger.warn('Shortcode generation ran out of attempts, using a longer random code', { strategy, attempts });
+        shortcode = this.generateRandom(length + 2, readable);
+        break;
+      }
+
+    } while (attempts < maxAttempts);
+
+    logger.debug('Shortcode generated', { shortcode, strategy, attempts });
+    return shortcode;
+  }
+
+  isValid(shortcode) {
+    if (!shortcode || typeof shortcode !== 'string') {
+      return false;
+    }
+
+    if (shortcode.length < 3 || shortcode.length > 20) {
+      return false;
     }
 
-    const { error, value } = schema.validate(dataToValidate, {
-      abortEarly: false,
-      allowUnknown: false,
-      stripUnknown: true
-    });
+    const validPattern = /^[a-zA-Z0-9_-]+$/;
+    return validPattern.test(shortcode);
+  }
+
+  getStats() {
+    return {
+      charset: this.charset,
+      charsetLength: this.charset.length,
+      possibleCombinations: {
+        length4: Math.pow(this.charset.length, 4),
+        length6: Math.pow(this.charset.length, 6),
+        length8: Math.pow(this.charset.length, 8)
+      },
+      counter: this.counter
+    };
+  }
+}
+
+/**
+ * Link lifecycle status, derived from the record alone so every backend and
+ * route agrees: 'inactive' (soft-deleted), 'expired' (past expiresAt or out
+ * of clicks), 'scheduled' (before activatesAt) or 'live'.
+ */
+const visitCount = (record) => {
+  // Clicks and QR scans both count towards maxClicks
+  return record.clickCount + (record.scanCount || 0);
+};
+
+const isClickLimitReached = (record) => {
+  return Boolean(record.maxClicks) && visitCount(record) >= record.maxClicks;
+};
+
+const getLinkStatus = (record, now = new Date()) => {
+  if (!record.isActive) return 'inactive';
+  if (record.expiresAt <= now || isClickLimitReached(record)) return 'expired';
+  if (record.activatesAt && record.activatesAt > now) return 'scheduled';
+  return 'live';
+};
+
+const LINK_STATUSES = ['live', 'scheduled', 'expired', 'inactive'];
+
+// Stores address links by key: the bare shortcode in the default namespace,
+// "<domain>/<shortcode>" on a registered custom domain
+const linkKey = (domain, shortcode) => {
+  return domain ? `${domain}/${shortcode}` : shortcode;
+};
+
+const LINK_SORT_FIELDS = ['createdAt', 'expiresAt', 'clickCount', 'lastAccessed', 'shortcode'];
+
+// Value a link is ordered by in listings: dates as timestamps, missing values
+// as null, which sorts before everything else
+const linkSortValue = (record, field) => {
+  const value = record[field];
+  if (value instanceof Date) return value.getTime();
+  return value === undefined ? null : value;
+};
+
+const compareSortValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+// Orders { value, key } listing positions by sort value, then link key
+const compareListPositions = (a, b) => {
+  return compareSortValues(a.value, b.value) || compareSortValues(a.key, b.key);
+};
+
+// Index of the first entry of the ordered `entries` past `position`, or at
+// or past it when `inclusive`
+const bisectPositions = (entries, position, inclusive = false) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    const order = compareListPositions(entries[middle], position);
+    if (order > 0 || (inclusive && order === 0)) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+};
+
+// Lowercased words of a text, as indexed for and matched by link search
+const searchTerms = (text) => {
+  return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+};
+
+// Canonical form of a destination URL, used to find links that point to the
+// same place: scheme and host lowercased, host in punycode without trailing
+// dot, default port dropped and query parameters sorted
+const normalizeDestination = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  parsed.hostname = parsed.hostname.replace(/\.$/, '');
+  parsed.searchParams.sort();
+  return parsed.href;
+};
+
+/**
+ * Delivery Queue Class
+ *
+ * Binary min-heap of pending webhook deliveries by nextAttemptAt. Entries are
+ * never updated in place: a rescheduled delivery is pushed again, and the
+ * caller skips entries that no longer match the delivery when they come out.
+ */
+class DeliveryQueue {
+  constructor() {
+    this.heap = [];
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  push(delivery) {
+    const heap = this.heap;
+    heap.push({ time: delivery.nextAttemptAt.getTime(), id: delivery.id, webhookId: delivery.webhookId });
+
+    let index = heap.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (heap[parent].time <= heap[index].time) break;
+      [heap[parent], heap[index]] = [heap[index], heap[parent]];
+      index = parent;
+    }
+  }
+
+  peek() {
+    return this.heap[0] || null;
+  }
+
+  pop() {
+    const heap = this.heap;
+    const top = heap[0];
+    const last = heap.pop();
+
+    if (heap.length > 0) {
+      heap[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = 2 * index + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < heap.length && heap[left].time < heap[smallest].time) smallest = left;
+        if (right < heap.length && heap[right].time < heap[smallest].time) smallest = right;
+        if (smallest === index) break;
+        [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+        index = smallest;
+      }
+    }
+
+    return top || null;
+  }
+}
+
+/**
+ * Storage Backend Interface
+ *
+ * Every store used by the routes and background tasks implements these
+ * methods. Implementations may return plain values or promises; callers
+ * always await the result.
+ *
+ * Links are addressed by linkKey(domain, shortcode); storeUrl() files a new
+ * link under the key of urlData.domain. Stores also emit the link lifecycle
+ * events in WEBHOOK_EVENTS with `(record, details)` arguments.
+ */
+class StorageBackend extends EventEmitter {
+  storeUrl(shortcode, urlData) {
+    throw new Error(`${this.constructor.name} does not implement storeUrl()`);
+  }
+
+  getUrl(key) {
+    throw new Error(`${this.constructor.name} does not implement getUrl()`);
+  }
+
+  recordClick(key, metadata = {}) {
+    throw new Error(`${this.constructor.name} does not implement recordClick()`);
+  }
+
+  getAnalytics(key) {
+    throw new Error(`${this.constructor.name} does not implement getAnalytics()`);
+  }
+
+  findUrl(key) {
+    throw new Error(`${this.constructor.name} does not implement findUrl()`);
+  }
+
+  updateUrl(key, changes) {
+    throw new Error(`${this.constructor.name} does not implement updateUrl()`);
+  }
+
+  setActive(key, isActive) {
+    throw new Error(`${this.constructor.name} does not implement setActive()`);
+  }
+
+  exists(key) {
+    throw new Error(`${this.constructor.name} does not implement exists()`);
+  }
+
+  listUrls(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement listUrls()`);
+  }
+
+  findUrlsByOwner(ownerId) {
+    throw new Error(`${this.constructor.name} does not implement findUrlsByOwner()`);
+  }
+
+  /**
+   * Yields the stored click records of one link in chronological order,
+   * optionally limited to [from, to]. May be a sync or async iterable.
+   */
+  iterateClicks(key, filters = {}) {
+    throw new Error(`${this.constructor.name} does not implement iterateClicks()`);
+  }
+
+  /**
+   * Returns the 'hour' or 'day' rollup buckets of one link, oldest first,
+   * as { start, clicks, scans, visitors } plus the ROLLUP_COUNT_FIELDS counts,
+   * optionally limited to buckets starting within [from, to].
+   */
+  getRollups(key, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement getRollups()`);
+  }
+
+  /**
+   * Fires link.expired once for each link past its expiry and removes links
+   * that expired more than EXPIRED_LINK_RETENTION_DAYS ago. Returns the
+   * number of newly expired links.
+   */
+  cleanupExpiredUrls() {
+    throw new Error(`${this.constructor.name} does not implement cleanupExpiredUrls()`);
+  }
+
+  getStats() {
+    throw new Error(`${this.constructor.name} does not implement getStats()`);
+  }
+
+  storeApiKey(apiKey) {
+    throw new Error(`${this.constructor.name} does not implement storeApiKey()`);
+  }
+
+  getApiKeyByHash(keyHash) {
+    throw new Error(`${this.constructor.name} does not implement getApiKeyByHash()`);
+  }
+
+  listApiKeys() {
+    throw new Error(`${this.constructor.name} does not implement listApiKeys()`);
+  }
+
+  revokeApiKey(id) {
+    throw new Error(`${this.constructor.name} does not implement revokeApiKey()`);
+  }
+
+  storeWebhook(webhook) {
+    throw new Error(`${this.constructor.name} does not implement storeWebhook()`);
+  }
+
+  findWebhook(id) {
+    throw new Error(`${this.constructor.name} does not implement findWebhook()`);
+  }
+
+  listWebhooks(ownerId) {
+    throw new Error(`${this.constructor.name} does not implement listWebhooks()`);
+  }
+
+  deleteWebhook(id) {
+    throw new Error(`${this.constructor.name} does not implement deleteWebhook()`);
+  }
+
+  storeDelivery(delivery) {
+    throw new Error(`${this.constructor.name} does not implement storeDelivery()`);
+  }
+
+  listDeliveries(webhookId, limit) {
+    throw new Error(`${this.constructor.name} does not implement listDeliveries()`);
+  }
+
+  /**
+   * Takes up to `limit` pending deliveries due at `now` off the queue, oldest
+   * due first. Storing a delivery again puts it back on the queue.
+   */
+  listDueDeliveries(now, limit) {
+    throw new Error(`${this.constructor.name} does not implement listDueDeliveries()`);
+  }
+
+  storeDomain(domain) {
+    throw new Error(`${this.constructor.name} does not implement storeDomain()`);
+  }
+
+  findDomain(hostname) {
+    throw new Error(`${this.constructor.name} does not implement findDomain()`);
+  }
+
+  listDomains() {
+    throw new Error(`${this.constructor.name} does not implement listDomains()`);
+  }
+
+  deleteDomain(hostname) {
+    throw new Error(`${this.constructor.name} does not implement deleteDomain()`);
+  }
+
+  /**
+   * Saves the response to an idempotent request as
+   * { id, fingerprint, statusCode, body, createdAt, expiresAt }, where id
+   * combines the API key and the Idempotency-Key header.
+   */
+  storeIdempotencyRecord(record) {
+    throw new Error(`${this.constructor.name} does not implement storeIdempotencyRecord()`);
+  }
+
+  // Returns the saved response for id, or null once it has expired
+  findIdempotencyRecord(id) {
+    throw new Error(`${this.constructor.name} does not implement findIdempotencyRecord()`);
+  }
+
+  close() {}
+}
+
+/**
+ * Memory Store Class
+ */
+class MemoryStore extends StorageBackend {
+  constructor() {
+    super();
+    this.urls = new Map();
+    this.analytics = new Map();
+    // Crawler and link-preview visits, kept apart from real clicks
+    this.botVisits = new Map();
+    // Unique visitor estimators per link and across all links
+    this.visitors = new Map();
+    this.allVisitors = new HyperLogLog();
+    // Hourly and daily click rollups per link, keyed by bucket start (ms)
+    this.rollups = new Map();
+    this.cache = new Map();
+    this.apiKeys = new Map();
+    this.apiKeyHashes = new Map();
+    this.webhooks = new Map();
+    // Webhook deliveries per webhook ID, each a Map in creation order: those
+    // still to be sent, with their due order in deliveryQueue, and the log of
+    // finished ones
+    this.pendingDeliveries = new Map();
+    this.finishedDeliveries = new Map();
+    this.deliveryQueue = new DeliveryQueue();
+    // Custom short domains by hostname
+    this.domains = new Map();
+    // Saved responses to idempotent requests by API key and Idempotency-Key
+    this.idempotency = new Map();
+    // Secondary indexes from owner, domain, tag, search term and normalized
+    // destination to link keys
+    this.indexes = {
+      owner: new Map(),
+      domain: new Map(),
+      tag: new Map(),
+      term: new Map(),
+      destination: new Map()
+    };
+    // Every indexed search term in code unit order, for prefix search
+    this.searchTermList = [];
+    // Per owner, the owner's links as { value, key } positions for each of
+    // LINK_SORT_FIELDS in ascending order, so listings can seek to a page
+    this.sortIndexes = new Map();
+    this.cacheSize = 1000;
+    
+    this.stats = {
+      totalUrls: 0,
+      totalClicks: 0,
+      totalBotVisits: 0,
+      createdToday: 0,
+      lastCleanup: Date.now()
+    };
+    
+    logger.debug('Memory store initialized');
+  }
+
+  storeUrl(shortcode, urlData) {
+    const now = new Date();
+
+    // Relative expiry counts from activation for scheduled links
+    const activatesAt = urlData.activatesAt ? new Date(urlData.activatesAt) : null;
+    const expiresAt = urlData.expiresAt
+      ? new Date(urlData.expiresAt)
+      : new Date((activatesAt || now).getTime() + (urlData.expiresIn * 60 * 1000));
+    
+    const record = {
+      shortcode,
+      domain: urlData.domain || null,
+      originalUrl: urlData.url,
+      description: urlData.description || '',
+      ownerId: urlData.ownerId || null,
+      passwordHash: urlData.passwordHash || null,
+      maxClicks: urlData.maxClicks || null,
+      interstitial: urlData.interstitial || 'off',
+      tags: urlData.tags || [],
+      rules: urlData.rules || [],
+      variants: urlData.variants || [],
+      createdAt: now,
+      activatesAt,
+      expiresAt,
+      expiredAt: null,
+      isActive: true,
+      clickCount: 0,
+      scanCount: 0,
+      lastAccessed: null
+    };
+
+    const key = linkKey(record.domain, shortcode);
+    this.urls.set(key, record);
+    this.analytics.set(key, []);
+    this._index(key, record);
+    
+    this.stats.totalUrls++;
+    this.stats.createdToday++;
+    this._journal({ op: 'url', record });
+    this.emit('link.created', record);
+    metrics.linksCreated.inc();
+    
+    logger.info('URL stored', { key, url: urlData.url });
+    return record;
+  }
+
+  getUrl(key) {
+    if (this.cache.has(key)) {
+      const cached = this.cache.get(key);
+      if (getLinkStatus(cached) === 'live') {
+        metrics.cacheLookups.inc({ result: 'hit' });
+        return cached;
+      } else {
+        this.cache.delete(key);
+      }
+    }
+    metrics.cacheLookups.inc({ result: 'miss' });
+
+    const record = this.urls.get(key);
+    if (!record || getLinkStatus(record) !== 'live') {
+      return null;
+    }
+
+    if (record.clickCount > 5) {
+      this._addToCache(key, record);
+    }
+
+    return record;
+  }
+
+  recordClick(key, metadata = {}) {
+    const record = this.urls.get(key);
+
+    // Check and count in one synchronous step so concurrent visitors of a
+    // click-limited link can never exceed maxClicks
+    if (!record || getLinkStatus(record) !== 'live') {
+      return false;
+    }
+
+    const clickData = {
+      timestamp: new Date(),
+      ip: metadata.ip || 'unknown',
+      userAgent: metadata.userAgent || 'unknown',
+      referer: metadata.referer || 'direct',
+      country: this._getCountryFromIp(metadata.ip),
+      ...metadata
+    };
+
+    this._applyClick(key, record, clickData);
+    this._journal({ op: 'click', key, click: clickData });
+    metrics.visits.inc({ kind: clickData.isBot ? 'bot' : clickData.source === 'qr' ? 'scan' : 'click' });
+
+    if (clickData.isBot) {
+      logger.debug('Bot visit recorded', { key, bot: clickData.userAgent });
+      return true;
+    }
+
+    this.emit('link.clicked', record, { click: clickData });
+
+    logger.debug('Click recorded', { key, totalClicks: record.clickCount });
+    return true;
+  }
+
+  getAnalytics(key) {
+    const record = this.urls.get(key);
+    const analytics = this.analytics.get(key) || [];
+
+    if (!record) {
+      return null;
+    }
+
+    // Every click breakdown comes from the day rollups, which cover the
+    // link's whole history; raw clicks only back recentClicks
+    const dayBuckets = this.getRollups(key, { granularity: 'day' });
+    const allTime = dayBuckets.reduce((total, bucket) => mergeRollupBuckets(total, bucket), createRollupBucket());
+    const clicksByDay = this._groupClicksByDay(dayBuckets);
+    const topReferers = topCounts(allTime.referers, 'referer');
+    const topCountries = topCounts(allTime.countries, 'country');
+    const clicksByRule = { ...allTime.rules };
+    const clicksByVariant = this._groupClicksByVariant(record, allTime.variants);
+    const botVisits = this.botVisits.get(key) || [];
+
+    return {
+      shortcode: record.shortcode,
+      domain: record.domain || null,
+      originalUrl: record.originalUrl,
+      description: record.description,
+      passwordProtected: Boolean(record.passwordHash),
+      interstitial: record.interstitial || 'off',
+      tags: record.tags || [],
+      createdAt: record.createdAt,
+      activatesAt: record.activatesAt || null,
+      expiresAt: record.expiresAt,
+      status: getLinkStatus(record),
+      isActive: getLinkStatus(record) === 'live',
+      totalClicks: record.clickCount,
+      totalScans: record.scanCount || 0,
+      uniqueVisitors: this.visitors.has(key) ? this.visitors.get(key).count() : 0,
+      maxClicks: record.maxClicks || null,
+      remainingClicks: record.maxClicks
+        ? Math.max(0, record.maxClicks - visitCount(record))
+        : null,
+      lastAccessed: record.lastAccessed,
+      clicksByDay,
+      topReferers,
+      topCountries,
+      clicksByRule,
+      clicksByVariant,
+      clicksByDevice: topCounts(allTime.devices, 'device', Infinity),
+      clicksByOs: topCounts(allTime.oses, 'os', Infinity),
+      clicksByBrowser: topCounts(allTime.browsers, 'browser', Infinity),
+      totalBotVisits: record.botCount || 0,
+      botVisitsByName: this._countClicksBy(botVisits, 'userAgent', 'bot'),
+      rules: record.rules || [],
+      variants: record.variants || [],
+      recentClicks: analytics.slice(-10)
+    };
+  }
+
+  findUrl(key) {
+    return this.urls.get(key) || null;
+  }
+
+  updateUrl(key, changes) {
+    const record = this.urls.get(key);
+    if (!record) {
+      return null;
+    }
+
+    this._unindex(key, record);
+
+    if (changes.url !== undefined) {
+      record.originalUrl = changes.url;
+    }
+    if (changes.description !== undefined) {
+      record.description = changes.description;
+    }
+    if (changes.expiresIn !== undefined) {
+      record.expiresAt = new Date(Date.now() + (changes.expiresIn * 60 * 1000));
+    }
+    if (changes.expiresAt !== undefined) {
+      record.expiresAt = new Date(changes.expiresAt);
+    }
+    if (changes.expiresIn !== undefined || changes.expiresAt !== undefined) {
+      // A new expiry is announced again once it is reached
+      record.expiredAt = null;
+    }
+    if (changes.activatesAt !== undefined) {
+      record.activatesAt = changes.activatesAt ? new Date(changes.activatesAt) : null;
+    }
+    if (changes.passwordHash !== undefined) {
+      record.passwordHash = changes.passwordHash;
+    }
+    if (changes.maxClicks !== undefined) {
+      record.maxClicks = changes.maxClicks;
+    }
+    if (changes.interstitial !== undefined) {
+      record.interstitial = changes.interstitial;
+    }
+    if (changes.tags !== undefined) {
+      record.tags = changes.tags;
+    }
+    if (changes.rules !== undefined) {
+      record.rules = changes.rules;
+    }
+    if (changes.variants !== undefined) {
+      record.variants = changes.variants;
+    }
+    record.updatedAt = new Date();
+    this._index(key, record);
+
+    this.cache.delete(key);
+    this._journal({ op: 'url', record });
+
+    logger.info('URL updated', { key, url: record.originalUrl });
+    return record;
+  }
+
+  setActive(key, isActive) {
+    const record = this.urls.get(key);
+    if (!record) {
+      return null;
+    }
+
+    record.isActive = isActive;
+    record.updatedAt = new Date();
+
+    this.cache.delete(key);
+    this._journal({ op: 'url', record });
+    if (!isActive) {
+      this.emit('link.deleted', record);
+    }
+
+    logger.info(isActive ? 'URL restored' : 'URL deactivated', { key });
+    return record;
+  }
+
+  exists(key) {
+    return this.urls.has(key);
+  }
+
+  /**
+   * Lists the links matching every given filter, ordered by `sort` with the
+   * link key as tie-breaker so each link has a fixed position. An owner's
+   * links are walked in their sort index from the `{ value, key }` position
+   * in `after` (else from `page`) until the page is full; the domain, tag,
+   * search term and destination indexes narrow down the links considered.
+   * Each word of `q` matches the links with a search term starting with it.
+   * When those leave only a few candidates, they are sorted directly.
+   * `total` counts every match and is skipped when `countTotal` is false.
+   */
+  listUrls(options = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      after = null,
+      ownerId,
+      domain,
+      tags = [],
+      q = '',
+      destination,
+      status = 'live',
+      createdFrom,
+      createdTo,
+      expiresFrom,
+      expiresTo,
+      minClicks,
+      sort = 'createdAt',
+      order = 'desc',
+      countTotal = true
+    } = options;
+    const filters = { status, createdFrom, createdTo, expiresFrom, expiresTo, minClicks };
+    const now = new Date();
+
+    const keySets = [];
+    if (domain !== undefined) keySets.push(this.indexes.domain.get(domain) || new Set());
+    tags.forEach(tag => keySets.push(this.indexes.tag.get(tag) || new Set()));
+    searchTerms(q).forEach(prefix => keySets.push(this._findTermPrefix(prefix)));
+    if (destination !== undefined) {
+      keySets.push(this.indexes.destination.get(normalizeDestination(destination)) || new Set());
+    }
+    keySets.sort((a, b) => a.size - b.size);
+
+    const candidates = keySets.length > 0
+      ? new Set(Array.from(keySets[0]).filter(key => keySets.every(keys => keys.has(key))))
+      : null;
+
+    const sortIndex = ownerId !== undefined ? this.sortIndexes.get(ownerId) : null;
+    let entries;
+    if (sortIndex && !(candidates && candidates.size * 16 < sortIndex[sort].length)) {
+      entries = sortIndex[sort];
+    } else {
+      entries = Array.from(candidates || this.urls.keys())
+        .filter(key => ownerId === undefined || (this.urls.get(key).ownerId || null) === ownerId)
+        .map(key => ({ value: linkSortValue(this.urls.get(key), sort), key }))
+        .sort(compareListPositions);
+    }
+
+    const step = order === 'asc' ? 1 : -1;
+    let index;
+    if (after) {
+      index = order === 'asc' ? bisectPositions(entries, after) : bisectPositions(entries, after, true) - 1;
+    } else {
+      index = order === 'asc' ? 0 : entries.length - 1;
+    }
+    let skip = after ? 0 : (page - 1) * limit;
+
+    // One match past the page tells whether there are more
+    const urls = [];
+    for (; index >= 0 && index < entries.length && urls.length <= limit; index += step) {
+      const { key } = entries[index];
+      if (candidates && !candidates.has(key)) continue;
+
+      const record = this.urls.get(key);
+      const linkStatus = this._matchListFilters(record, filters, now);
+      if (!linkStatus) continue;
+
+      if (skip > 0) {
+        skip--;
+      } else {
+        urls.push({ ...record, status: linkStatus });
+      }
+    }
+
+    let total;
+    if (countTotal) {
+      total = entries.filter(({ key }) => {
+        return (!candidates || candidates.has(key)) && this._matchListFilters(this.urls.get(key), filters, now);
+      }).length;
+    }
+
+    return {
+      urls: urls.slice(0, limit),
+      total,
+      hasMore: urls.length > limit
+    };
+  }
+
+  // Status of a link when it passes the listing filters, else null
+  _matchListFilters(record, filters, now) {
+    const { status, createdFrom, createdTo, expiresFrom, expiresTo, minClicks } = filters;
+    const linkStatus = getLinkStatus(record, now);
+
+    if (status !== 'all' && linkStatus !== status) return null;
+    if (createdFrom && record.createdAt < createdFrom) return null;
+    if (createdTo && record.createdAt > createdTo) return null;
+    if (expiresFrom && record.expiresAt < expiresFrom) return null;
+    if (expiresTo && record.expiresAt > expiresTo) return null;
+    if (minClicks !== undefined && record.clickCount < minClicks) return null;
+    return linkStatus;
+  }
+
+  findUrlsByOwner(ownerId) {
+    return Array.from(this.urls.values()).filter(url => url.ownerId === ownerId);
+  }
+
+  getRollups(key, options = {}) {
+    const { granularity = 'day', from, to } = options;
+    const rollup = this.rollups.get(key);
+    if (!rollup) {
+      return [];
+    }
+
+    return Array.from(rollup[granularity].entries())
+      .filter(([start]) => (!from || start >= from.getTime()) && (!to || start <= to.getTime()))
+      .sort(([a], [b]) => a - b)
+      .map(([start, bucket]) => ({ start: new Date(start), ...bucket }));
+  }
+
+  *iterateClicks(key, filters = {}) {
+    const { from, to } = filters;
+
+    // Copy so clicks recorded mid-export don't shift the iteration
+    const clicks = (this.analytics.get(key) || []).slice();
+
+    for (const click of clicks) {
+      if (from && click.timestamp < from) continue;
+      if (to && click.timestamp > to) continue;
+      yield click;
+    }
+  }
+
+  cleanupExpiredUrls() {
+    const now = new Date();
+    const removeBefore = now.getTime() - EXPIRED_LINK_RETENTION_DAYS * DAY_MS;
+    let expiredCount = 0;
+    let removedCount = 0;
+
+    for (const [key, record] of this.urls.entries()) {
+      if (record.expiresAt > now) continue;
+
+      // The first run past the expiry announces it; the link itself is kept
+      // for EXPIRED_LINK_RETENTION_DAYS
+      if (!record.expiredAt) {
+        record.expiredAt = now;
+        this._journal({ op: 'url', record });
+        this.emit('link.expired', record);
+        metrics.linksExpired.inc();
+        expiredCount++;
+      }
+
+      if (record.expiresAt.getTime() <= removeBefore) {
+        this._unindex(key, record);
+        this.urls.delete(key);
+        this.analytics.delete(key);
+        this.botVisits.delete(key);
+        this.visitors.delete(key);
+        this.rollups.delete(key);
+        this.cache.delete(key);
+        this._journal({ op: 'delete', key });
+        removedCount++;
+      }
+    }
+
+    for (const [id, record] of this.idempotency.entries()) {
+      if (record.expiresAt <= now) {
+        this.idempotency.delete(id);
+      }
+    }
+
+    let prunedClicks = 0;
+    for (const clicks of this.analytics.values()) {
+      prunedClicks += this._pruneRawClicks(clicks, now.getTime());
+    }
+
+    this.stats.lastCleanup = now.getTime();
+    
+    if (removedCount > 0) {
+      logger.info('Expired URLs removed', { count: removedCount, retentionDays: EXPIRED_LINK_RETENTION_DAYS });
+    }
+    if (prunedClicks > 0) {
+      logger.info('Raw clicks past retention dropped', { count: prunedClicks, retentionDays: RAW_CLICK_RETENTION_DAYS });
+    }
+
+    return expiredCount;
+  }
+
+  getStats() {
+    const now = Date.now();
+    const uptime = now - (this.stats.lastCleanup - 24 * 60 * 60 * 1000);
+
+    return {
+      totalUrls: this.urls.size,
+      totalClicks: this.stats.totalClicks,
+      totalBotVisits: this.stats.totalBotVisits,
+      uniqueVisitors: this.allVisitors.count(),
+      activeUrls: Array.from(this.urls.values()).filter(r => getLinkStatus(r) === 'live').length,
+      cacheSize: this.cache.size,
+      memoryUsage: {
+        urls: this.urls.size,
+        analytics: this.analytics.size,
+        cache: this.cache.size
+      },
+      uptime: Math.floor(uptime / 1000)
+    };
+  }
+
+  storeApiKey(apiKey) {
+    this.apiKeys.set(apiKey.id, apiKey);
+    this.apiKeyHashes.set(apiKey.keyHash, apiKey.id);
+    this._journal({ op: 'apiKey', apiKey });
+
+    logger.info('API key issued', { apiKeyId: apiKey.id, name: apiKey.name });
+    return apiKey;
+  }
+
+  getApiKeyByHash(keyHash) {
+    const id = this.apiKeyHashes.get(keyHash);
+    return id ? this.apiKeys.get(id) : null;
+  }
+
+  listApiKeys() {
+    return Array.from(this.apiKeys.values());
+  }
+
+  revokeApiKey(id) {
+    const apiKey = this.apiKeys.get(id);
+    if (!apiKey) {
+      return null;
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      this._journal({ op: 'apiKey', apiKey });
+      logger.info('API key revoked', { apiKeyId: id });
+    }
+
+    return apiKey;
+  }
+
+  storeWebhook(webhook) {
+    const isNew = !this.webhooks.has(webhook.id);
+    this.webhooks.set(webhook.id, webhook);
+    this._journal({ op: 'webhook', webhook });
+
+    if (isNew) {
+      logger.info('Webhook registered', { webhookId: webhook.id, url: webhook.url });
+    }
+    return webhook;
+  }
+
+  findWebhook(id) {
+    return this.webhooks.get(id) || null;
+  }
+
+  listWebhooks(ownerId) {
+    return Array.from(this.webhooks.values()).filter(webhook => webhook.ownerId === ownerId);
+  }
+
+  deleteWebhook(id) {
+    const webhook = this.webhooks.get(id);
+    if (!webhook) {
+      return null;
+    }
+
+    this.webhooks.delete(id);
+    this.pendingDeliveries.delete(id);
+    this.finishedDeliveries.delete(id);
+    this._journal({ op: 'webhookDelete', id });
+
+    logger.info('Webhook removed', { webhookId: id });
+    return webhook;
+  }
+
+  storeDelivery(delivery) {
+    const pending = this.pendingDeliveries.get(delivery.webhookId);
+    const isNew = delivery.status === 'pending' && !(pending && pending.has(delivery.id));
+
+    this._placeDelivery(delivery);
+    this._journal({ op: 'delivery', delivery });
+
+    // A receiver that is down must not let its queue grow without bound
+    const queued = this.pendingDeliveries.get(delivery.webhookId);
+    if (isNew && queued.size > WEBHOOK_MAX_PENDING) {
+      const oldest = queued.values().next().value;
+      oldest.status = 'dropped';
+      oldest.lastError = `Dropped: more than ${WEBHOOK_MAX_PENDING} deliveries pending`;
+      this._placeDelivery(oldest);
+      this._journal({ op: 'delivery', delivery: oldest });
+
+      metrics.webhookDeliveriesDropped.inc();
+      logger.warn('Webhook delivery dropped', { webhookId: oldest.webhookId, deliveryId: oldest.id });
+    }
+    return delivery;
+  }
+
+  listDeliveries(webhookId, limit = 50) {
+    return [
+      ...(this.pendingDeliveries.get(webhookId) || new Map()).values(),
+      ...(this.finishedDeliveries.get(webhookId) || new Map()).values()
+    ]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  listDueDeliveries(now = new Date(), limit = 20) {
+    const due = [];
+    while (due.length < limit && this.deliveryQueue.size > 0 && this.deliveryQueue.peek().time <= now.getTime()) {
+      const entry = this.deliveryQueue.pop();
+      const delivery = (this.pendingDeliveries.get(entry.webhookId) || new Map()).get(entry.id);
+
+      // Entries of finished, dropped or rescheduled deliveries are stale
+      if (delivery && delivery.nextAttemptAt.getTime() === entry.time) {
+        due.push(delivery);
+      }
+    }
+    return due;
+  }
+
+  storeDomain(domain) {
+    this.domains.set(domain.hostname, domain);
+    this._journal({ op: 'domain', domain });
+
+    logger.info('Domain registered', { hostname: domain.hostname, ownerId: domain.ownerId });
+    return domain;
+  }
+
+  findDomain(hostname) {
+    return this.domains.get(hostname) || null;
+  }
+
+  listDomains() {
+    return Array.from(this.domains.values());
+  }
+
+  deleteDomain(hostname) {
+    const domain = this.domains.get(hostname);
+    if (!domain) {
+      return null;
+    }
+
+    this.domains.delete(hostname);
+    this._journal({ op: 'domainDelete', hostname });
+
+    logger.info('Domain removed', { hostname });
+    return domain;
+  }
+
+  storeIdempotencyRecord(record) {
+    this.idempotency.set(record.id, record);
+    this._journal({ op: 'idempotency', record });
+    return record;
+  }
+
+  findIdempotencyRecord(id) {
+    const record = this.idempotency.get(id);
+    if (!record || record.expiresAt <= new Date()) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Persistence hook, called after every state change with a journal entry.
+   * The in-memory store keeps nothing; durable backends override this.
+   */
+  _journal(entry) {}
+
+  _applyClick(key, record, clickData) {
+    if (clickData.isBot) {
+      record.botCount = (record.botCount || 0) + 1;
+      this.stats.totalBotVisits++;
+
+      const visits = this.botVisits.get(key) || [];
+      visits.push(clickData);
+      if (visits.length > 100) {
+        visits.splice(0, visits.length - 100);
+      }
+      this.botVisits.set(key, visits);
+      return;
+    }
+
+    const sortFields = ['clickCount', 'lastAccessed'];
+    this._unindexSort(key, record, sortFields);
+
+    if (clickData.source === 'qr') {
+      record.scanCount = (record.scanCount || 0) + 1;
+    } else {
+      record.clickCount++;
+    }
+
+    if (clickData.visitorId) {
+      if (!this.visitors.has(key)) {
+        this.visitors.set(key, new HyperLogLog());
+      }
+      this.visitors.get(key).add(clickData.visitorId);
+      this.allVisitors.add(clickData.visitorId);
+    }
+    record.lastAccessed = clickData.timestamp;
+    this._indexSort(key, record, sortFields);
+    this.stats.totalClicks++;
+
+    this._rollUp(key, clickData);
+
+    const analytics = this.analytics.get(key) || [];
+    analytics.push(clickData);
+    this._pruneRawClicks(analytics);
+    
+    this.analytics.set(key, analytics);
+
+    if (this.cache.has(key)) {
+      this.cache.set(key, { ...record });
+    }
+  }
+
+  _rollUp(key, clickData) {
+    if (!this.rollups.has(key)) {
+      this.rollups.set(key, { hour: new Map(), day: new Map() });
+    }
+
+    const rollup = this.rollups.get(key);
+    const time = clickData.timestamp.getTime();
+
+    [[rollup.hour, HOUR_MS], [rollup.day, DAY_MS]].forEach(([buckets, size]) => {
+      const start = time - (time % size);
+      if (!buckets.has(start)) {
+        buckets.set(start, createRollupBucket());
+      }
+      addClickToRollup(buckets.get(start), clickData);
+    });
+  }
+
+  // Drops raw clicks older than the retention window; clicks are appended in
+  // time order, so expired ones are always at the front
+  _pruneRawClicks(clicks, now = Date.now()) {
+    const cutoff = now - RAW_CLICK_RETENTION_DAYS * DAY_MS;
+
+    let expired = 0;
+    while (expired < clicks.length && clicks[expired].timestamp.getTime() < cutoff) {
+      expired++;
+    }
+    if (expired > 0) {
+      clicks.splice(0, expired);
+    }
+    return expired;
+  }
+
+  /**
+   * Files a delivery under its webhook: pending ones are queued by
+   * nextAttemptAt, finished ones move to the log, which keeps the newest
+   * WEBHOOK_LOG_LIMIT per webhook.
+   */
+  _placeDelivery(delivery) {
+    const { webhookId } = delivery;
+    if (!this.pendingDeliveries.has(webhookId)) {
+      this.pendingDeliveries.set(webhookId, new Map());
+      this.finishedDeliveries.set(webhookId, new Map());
+    }
+    const pending = this.pendingDeliveries.get(webhookId);
+    const finished = this.finishedDeliveries.get(webhookId);
+
+    if (delivery.status === 'pending') {
+      pending.set(delivery.id, delivery);
+      this.deliveryQueue.push(delivery);
+      return;
+    }
+
+    pending.delete(delivery.id);
+    finished.set(delivery.id, delivery);
+    if (finished.size > WEBHOOK_LOG_LIMIT) {
+      finished.delete(finished.keys().next().value);
+    }
+  }
+
+  _index(key, record) {
+    this._forEachIndexEntry(record, (index, value) => {
+      if (!index.has(value)) {
+        index.set(value, new Set());
+        if (index === this.indexes.term) {
+          this.searchTermList.splice(this._bisectTerms(value), 0, value);
+        }
+      }
+      index.get(value).add(key);
+    });
+    this._indexSort(key, record, LINK_SORT_FIELDS);
+  }
+
+  _unindex(key, record) {
+    this._forEachIndexEntry(record, (index, value) => {
+      const keys = index.get(value);
+      if (!keys) return;
+
+      keys.delete(key);
+      if (keys.size === 0) {
+        index.delete(value);
+        if (index === this.indexes.term) {
+          this.searchTermList.splice(this._bisectTerms(value), 1);
+        }
+      }
+    });
+    this._unindexSort(key, record, LINK_SORT_FIELDS);
+  }
+
+  // Index of the first term in searchTermList not below `term`
+  _bisectTerms(term) {
+    const terms = this.searchTermList;
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (terms[middle] < term) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  // Keys of the links with a search term starting with `prefix`
+  _findTermPrefix(prefix) {
+    const matches = [];
+    for (let index = this._bisectTerms(prefix); index < this.searchTermList.length; index++) {
+      const term = this.searchTermList[index];
+      if (!term.startsWith(prefix)) break;
+      matches.push(this.indexes.term.get(term));
+    }
+
+    if (matches.length === 1) {
+      return matches[0];
+    }
+    const keys = new Set();
+    matches.forEach(termKeys => termKeys.forEach(key => keys.add(key)));
+    return keys;
+  }
+
+  _indexSort(key, record, fields) {
+    const ownerId = record.ownerId || null;
+    if (!this.sortIndexes.has(ownerId)) {
+      this.sortIndexes.set(ownerId, Object.fromEntries(LINK_SORT_FIELDS.map(field => [field, []])));
+    }
+
+    const sortIndex = this.sortIndexes.get(ownerId);
+    for (const field of fields) {
+      const position = { value: linkSortValue(record, field), key };
+      sortIndex[field].splice(bisectPositions(sortIndex[field], position), 0, position);
+    }
+  }
+
+  // Must run before the record's sort values change
+  _unindexSort(key, record, fields) {
+    const ownerId = record.ownerId || null;
+    const sortIndex = this.sortIndexes.get(ownerId);
+    if (!sortIndex) return;
+
+    for (const field of fields) {
+      const entries = sortIndex[field];
+      const index = bisectPositions(entries, { value: linkSortValue(record, field), key }, true);
+      if (entries[index] && entries[index].key === key) {
+        entries.splice(index, 1);
+      }
+    }
+
+    if (sortIndex.createdAt.length === 0) {
+      this.sortIndexes.delete(ownerId);
+    }
+  }
+
+  _forEachIndexEntry(record, callback) {
+    callback(this.indexes.owner, record.ownerId || null);
+    callback(this.indexes.domain, record.domain || null);
+    (record.tags || []).forEach(tag => callback(this.indexes.tag, tag));
+    searchTerms(`${record.description || ''} ${record.originalUrl}`)
+      .forEach(term => callback(this.indexes.term, term));
+    callback(this.indexes.destination, normalizeDestination(record.originalUrl));
+  }
+
+  _addToCache(key, record) {
+    if (this.cache.size >= this.cacheSize) {
+      const firstKey = this.cache.keys().next().value;
+      this.cache.delete(firstKey);
+    }
+    this.cache.set(key, { ...record });
+  }
+
+  _getCountryFromIp(ip) {
+    return getCountryFromIp(ip);
+  }
+
+  _groupClicksByDay(dayBuckets) {
+    const groups = {};
+    dayBuckets.forEach(bucket => {
+      groups[bucket.start.toISOString().split('T')[0]] = bucket.clicks + bucket.scans;
+    });
+    return groups;
+  }
+
+  _groupClicksByVariant(record, counts) {
+    const variants = record.variants || [];
+    if (variants.length === 0) {
+      return [];
+    }
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    return variants.map(variant => ({
+      name: variant.name,
+      url: variant.url,
+      weight: variant.weight,
+      clicks: counts[variant.name] || 0,
+      share: total > 0 ? Math.round(((counts[variant.name] || 0) / total) * 1000) / 10 : 0
+    }));
+  }
+
+  // Counts clicks per value of a click field, most common first; clicks
+  // recorded before the field existed are counted as 'unknown'
+  _countClicksBy(clicks, field, label = field) {
+    const counts = {};
+    clicks.forEach(click => {
+      const value = click[field] || 'unknown';
+      counts[value] = (counts[value] || 0) + 1;
+    });
+
+    return Object.entries(counts)
+      .sort(([,a], [,b]) => b - a)
+      .map(([value, count]) => ({ [label]: value, count }));
+  }
+}
+
+/**
+ * Journal Store Class
+ *
+ * Durable backend: keeps the same in-memory maps as MemoryStore, appends every
+ * change to a journal file and periodically folds the journal into a snapshot.
+ * On startup the snapshot is loaded and the journal replayed on top of it.
+ */
+class JournalStore extends MemoryStore {
+  constructor(options = {}) {
+    super();
+
+    const {
+      directory = STORAGE_DIR,
+      snapshotInterval = SNAPSHOT_INTERVAL
+    } = options;
+
+    this.directory = directory;
+    this.snapshotPath = path.join(directory, 'snapshot.json');
+    this.journalPath = path.join(directory, 'journal.ndjson');
+    this.pendingEntries = 0;
+    this.replaying = false;
+    // Sequence number of the last journal entry; snapshots record it so
+    // entries they already contain are skipped on replay
+    this.journalSeq = 0;
+
+    fs.mkdirSync(directory, { recursive: true });
+    this._load();
+
+    this.snapshotTimer = setInterval(() => {
+      try {
+        this.snapshot();
+      } catch (error) {
+        logger.error('Error writing snapshot', { error });
+      }
+    }, snapshotInterval);
+    this.snapshotTimer.unref();
+
+    logger.info('Journal store initialized', { directory, urls: this.urls.size });
+  }
+
+  snapshot() {
+    if (this.pendingEntries === 0) {
+      return false;
+    }
+
+    const state = {
+      version: 1,
+      createdAt: new Date(),
+      journalSeq: this.journalSeq,
+      stats: this.stats,
+      urls: Array.from(this.urls.values()),
+      analytics: Array.from(this.analytics.entries()),
+      botVisits: Array.from(this.botVisits.entries()),
+      visitors: Array.from(this.visitors.entries()),
+      allVisitors: this.allVisitors,
+      rollups: Array.from(this.rollups.entries()).map(([key, rollup]) => [key, {
+        hour: Array.from(rollup.hour.entries()),
+        day: Array.from(rollup.day.entries())
+      }]),
+      apiKeys: Array.from(this.apiKeys.values()),
+      webhooks: Array.from(this.webhooks.values()),
+      deliveries: [...this.finishedDeliveries.values(), ...this.pendingDeliveries.values()]
+        .flatMap(deliveries => Array.from(deliveries.values())),
+      domains: Array.from(this.domains.values()),
+      idempotency: Array.from(this.idempotency.values())
+    };
+
+    // A crash before the journal is truncated leaves entries the snapshot
+    // already holds; their sequence numbers let replay skip them
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, this.snapshotPath);
+    fs.truncateSync(this.journalPath, 0);
+    this.pendingEntries = 0;
+
+    logger.info('Snapshot written', { urls: state.urls.length });
+    return true;
+  }
+
+  close() {
+    clearInterval(this.snapshotTimer);
+    this.snapshot();
+  }
+
+  _journal(entry) {
+    if (this.replaying) return;
+
+    this.journalSeq++;
+    fs.appendFileSync(this.journalPath, JSON.stringify({ seq: this.journalSeq, ...entry }) + '\n');
+    this.pendingEntries++;
+  }
+
+  _load() {
+    let snapshotSeq = 0;
+
+    if (fs.existsSync(this.snapshotPath)) {
+      const state = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+
+      snapshotSeq = state.journalSeq || 0;
+      this.journalSeq = snapshotSeq;
+      Object.assign(this.stats, state.stats);
+      state.urls.forEach(record => {
+        const key = linkKey(record.domain, record.shortcode);
+        const revived = this._reviveRecord(record);
+        this.urls.set(key, revived);
+        this._index(key, revived);
+      });
+      state.analytics.forEach(([key, clicks]) => {
+        this.analytics.set(key, clicks.map(click => this._reviveClick(click)));
+      });
+      (state.botVisits || []).forEach(([key, visits]) => {
+        this.botVisits.set(key, visits.map(visit => this._reviveClick(visit)));
+      });
+      (state.visitors || []).forEach(([key, counter]) => {
+        this.visitors.set(key, HyperLogLog.fromJSON(counter));
+      });
+      if (state.allVisitors) {
+        this.allVisitors = HyperLogLog.fromJSON(state.allVisitors);
+      }
+      (state.rollups || []).forEach(([key, rollup]) => {
+        this.rollups.set(key, {
+          hour: new Map(rollup.hour.map(([start, bucket]) => [start, reviveRollupBucket(bucket)])),
+          day: new Map(rollup.day.map(([start, bucket]) => [start, reviveRollupBucket(bucket)]))
+        });
+      });
+      (state.apiKeys || []).forEach(apiKey => this._restoreApiKey(apiKey));
+      (state.webhooks || []).forEach(webhook => this._restoreWebhook(webhook));
+      (state.deliveries || []).forEach(delivery => this._restoreDelivery(delivery));
+      (state.domains || []).forEach(domain => this._restoreDomain(domain));
+      (state.idempotency || []).forEach(record => this._restoreIdempotencyRecord(record));
+    }
+
+    if (!fs.existsSync(this.journalPath)) {
+      fs.writeFileSync(this.journalPath, '');
+      return;
+    }
+
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+    this.replaying = true;
+
+    try {
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A torn final line is expected after a crash mid-write
+          logger.warn('Skipping unreadable journal entry', { line: index + 1 });
+          return;
+        }
+
+        // Entries from before sequence numbers are always replayed
+        if (entry.seq !== undefined) {
+          if (entry.seq <= snapshotSeq) return;
+          this.journalSeq = Math.max(this.journalSeq, entry.seq);
+        }
+
+        this._replay(entry);
+        this.pendingEntries++;
+      });
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  _replay(entry) {
+    // Entries written before custom domains name links by bare shortcode,
+    // which is still their key in the default namespace
+    const key = entry.key || entry.shortcode;
+
+    switch (entry.op) {
+      case 'url': {
+        const record = this._reviveRecord(entry.record);
+        const recordKey = linkKey(record.domain, record.shortcode);
+        const previous = this.urls.get(recordKey);
+        if (previous) {
+          this._unindex(recordKey, previous);
+        } else {
+          this.stats.totalUrls++;
+        }
+        this.urls.set(recordKey, record);
+        this._index(recordKey, record);
+        if (!this.analytics.has(recordKey)) {
+          this.analytics.set(recordKey, []);
+        }
+        this.cache.delete(recordKey);
+        break;
+      }
+      case 'click': {
+        const record = this.urls.get(key);
+        if (record) {
+          this._applyClick(key, record, this._reviveClick(entry.click));
+        }
+        break;
+      }
+      case 'delete':
+        if (this.urls.has(key)) {
+          this._unindex(key, this.urls.get(key));
+        }
+        this.urls.delete(key);
+        this.analytics.delete(key);
+        this.botVisits.delete(key);
+        this.visitors.delete(key);
+        this.rollups.delete(key);
+        this.cache.delete(key);
+        break;
+      case 'apiKey':
+        this._restoreApiKey(entry.apiKey);
+        break;
+      case 'webhook':
+        this._restoreWebhook(entry.webhook);
+        break;
+      case 'webhookDelete':
+        this.webhooks.delete(entry.id);
+        this.pendingDeliveries.delete(entry.id);
+        this.finishedDeliveries.delete(entry.id);
+        break;
+      case 'delivery':
+        this._restoreDelivery(entry.delivery);
+        break;
+      case 'domain':
+        this._restoreDomain(entry.domain);
+        break;
+      case 'domainDelete':
+        this.domains.delete(entry.hostname);
+        break;
+      case 'idempotency':
+        this._restoreIdempotencyRecord(entry.record);
+        break;
+      default:
+        logger.warn('Unknown journal operation', { op: entry.op });
+    }
+  }
+
+  _reviveRecord(record) {
+    return {
+      ...record,
+      createdAt: new Date(record.createdAt),
+      activatesAt: record.activatesAt ? new Date(record.activatesAt) : null,
+      expiresAt: new Date(record.expiresAt),
+      expiredAt: record.expiredAt ? new Date(record.expiredAt) : null,
+      lastAccessed: record.lastAccessed ? new Date(record.lastAccessed) : null,
+      updatedAt: record.updatedAt ? new Date(record.updatedAt) : undefined
+    };
+  }
+
+  _reviveClick(click) {
+    return { ...click, timestamp: new Date(click.timestamp) };
+  }
+
+  _restoreApiKey(apiKey) {
+    const revived = {
+      ...apiKey,
+      createdAt: new Date(apiKey.createdAt),
+      revokedAt: apiKey.revokedAt ? new Date(apiKey.revokedAt) : null
+    };
+    this.apiKeys.set(revived.id, revived);
+    this.apiKeyHashes.set(revived.keyHash, revived.id);
+  }
+
+  _restoreWebhook(webhook) {
+    this.webhooks.set(webhook.id, {
+      ...webhook,
+      createdAt: new Date(webhook.createdAt),
+      disabledAt: webhook.disabledAt ? new Date(webhook.disabledAt) : null
+    });
+  }
+
+  _restoreDomain(domain) {
+    this.domains.set(domain.hostname, { ...domain, createdAt: new Date(domain.createdAt) });
+  }
+
+  _restoreIdempotencyRecord(record) {
+    const expiresAt = new Date(record.expiresAt);
+    if (expiresAt <= new Date()) return;
+
+    this.idempotency.set(record.id, { ...record, createdAt: new Date(record.createdAt), expiresAt });
+  }
+
+  _restoreDelivery(delivery) {
+    this._placeDelivery({
+      ...delivery,
+      createdAt: new Date(delivery.createdAt),
+      nextAttemptAt: new Date(delivery.nextAttemptAt),
+      lastAttemptAt: delivery.lastAttemptAt ? new Date(delivery.lastAttemptAt) : null,
+      deliveredAt: delivery.deliveredAt ? new Date(delivery.deliveredAt) : null
+    });
+  }
+}
+
+/**
+ * Storage backend factory, selected by STORAGE_BACKEND
+ */
+const createStore = (backend = STORAGE_BACKEND) => {
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore();
+    case 'journal':
+      return new JournalStore({ directory: STORAGE_DIR, snapshotInterval: SNAPSHOT_INTERVAL });
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+};
+
+// Public view of a link event shared by webhooks and the live click stream;
+// client IPs are deliberately left out
+const toLinkEventData = (record, details = {}) => {
+  const data = {
+    shortcode: record.shortcode,
+    domain: record.domain || null,
+    originalUrl: record.originalUrl,
+    description: record.description,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    clickCount: record.clickCount
+  };
+
+  if (details.click) {
+    const { click } = details;
+    data.click = {
+      timestamp: click.timestamp,
+      referer: click.referer,
+      country: click.country,
+      region: click.region || null,
+      city: click.city || null,
+      userAgent: click.userAgent,
+      os: click.os || 'unknown',
+      device: click.device || 'unknown',
+      source: click.source || 'link',
+      rule: click.rule || 'default',
+      variant: click.variant || null
+    };
+  }
+
+  return data;
+};
+
+/**
+ * Webhook Dispatcher Class
+ *
+ * Turns store events into queued deliveries for matching subscriptions and
+ * works the queue: each payload is POSTed with an HMAC-SHA256 signature and
+ * retried with exponential backoff until it succeeds or runs out of attempts.
+ * The queue lives in the store, so pending deliveries survive restarts. A
+ * webhook whose deliveries keep failing is disabled until its owner enables
+ * it again.
+ */
+class WebhookDispatcher {
+  constructor(store, options = {}) {
+    const {
+      maxAttempts = WEBHOOK_MAX_ATTEMPTS,
+      disableAfter = WEBHOOK_DISABLE_AFTER,
+      retryBaseMs = WEBHOOK_RETRY_BASE_MS,
+      timeoutMs = WEBHOOK_TIMEOUT_MS,
+      pollInterval = 1000
+    } = options;
+
+    this.store = store;
+    this.maxAttempts = maxAttempts;
+    this.disableAfter = disableAfter;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.pollInterval = pollInterval;
+    this.processing = false;
+    this.timer = null;
+
+    WEBHOOK_EVENTS.forEach(event => {
+      store.on(event, (record, details) => {
+        this.enqueue(event, record, details).catch(error => {
+          logger.error('Failed to queue webhook', { event, error });
+        });
+      });
+    });
+  }
+
+  start() {
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  async enqueue(event, record, details = {}) {
+    if (!record.ownerId) return;
+
+    const webhooks = (await this.store.listWebhooks(record.ownerId))
+      .filter(webhook => !webhook.disabledAt)
+      .filter(webhook => webhook.events.includes('*') || webhook.events.includes(event));
+
+    for (const webhook of webhooks) {
+      const id = crypto.randomBytes(8).toString('hex');
+      const now = new Date();
+
+      await this.store.storeDelivery({
+        id,
+        webhookId: webhook.id,
+        event,
+        payload: {
+          id,
+          event,
+          createdAt: now.toISOString(),
+          data: toLinkEventData(record, details)
+        },
+        status: 'pending',
+        attempts: 0,
+        createdAt: now,
+        nextAttemptAt: now,
+        lastAttemptAt: null,
+        deliveredAt: null,
+        responseStatus: null,
+        lastError: null
+      });
+    }
+  }
+
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const due = await this.store.listDueDeliveries(new Date(), 20);
+      for (const delivery of due) {
+        await this._attempt(delivery);
+      }
+    } catch (error) {
+      logger.error('Error processing webhook queue', { error });
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async _attempt(delivery) {
+    const webhook = await this.store.findWebhook(delivery.webhookId);
+    if (!webhook) return;
+
+    if (webhook.disabledAt) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Webhook is disabled';
+      await this.store.storeDelivery(delivery);
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const now = new Date();
+
+    delivery.attempts++;
+    delivery.lastAttemptAt = now;
+
+    try {
+      const status = await this._post(webhook.url, body, {
+        'X-QuickLink-Event': delivery.event,
+        'X-QuickLink-Delivery': delivery.id,
+        'X-QuickLink-Signature': `t=${timestamp},v1=${this.sign(webhook.secret, timestamp, body)}`
+      });
+
+      delivery.responseStatus = status;
+      if (status >= 200 && status < 300) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = now;
+        delivery.lastError = null;
+      } else {
+        delivery.lastError = `Receiver responded with HTTP ${status}`;
+      }
+    } catch (error) {
+      delivery.responseStatus = null;
+      delivery.lastError = error.message;
+    }
+
+    if (delivery.status === 'pending') {
+      if (delivery.attempts >= this.maxAttempts) {
+        delivery.status = 'failed';
+        logger.warn('Webhook delivery failed', { deliveryId: delivery.id, attempts: delivery.attempts, lastError: delivery.lastError });
+      } else {
+        const delay = this.retryBaseMs * Math.pow(2, delivery.attempts - 1);
+        delivery.nextAttemptAt = new Date(now.getTime() + delay);
+      }
+    } else {
+      logger.info('Webhook delivered', { deliveryId: delivery.id, event: delivery.event, url: webhook.url, status: delivery.responseStatus });
+    }
+
+    await this.store.storeDelivery(delivery);
+    await this._recordOutcome(webhook, delivery, now);
+  }
+
+  // Counts failed deliveries in a row and disables the webhook at disableAfter
+  async _recordOutcome(webhook, delivery, now) {
+    if (delivery.status === 'delivered') {
+      if (webhook.consecutiveFailures) {
+        await this.store.storeWebhook({ ...webhook, consecutiveFailures: 0 });
+      }
+      return;
+    }
+    if (delivery.status !== 'failed') return;
+
+    const consecutiveFailures = (webhook.consecutiveFailures || 0) + 1;
+    const disabled = consecutiveFailures >= this.disableAfter;
+    await this.store.storeWebhook({
+      ...webhook,
+      consecutiveFailures,
+      disabledAt: disabled ? now : null
+    });
+
+    if (disabled) {
+      logger.warn('Webhook disabled after repeated failures', { webhookId: webhook.id, url: webhook.url, consecutiveFailures });
+    }
+  }
+
+  _post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const transport = target.protocol === 'https:' ? https : http;
+
+      const request = transport.request(target, {
+        method: 'POST',
+        timeout: this.timeoutMs,
+        lookup: WEBHOOK_ALLOW_PRIVATE ? undefined : safeDnsLookup,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'QuickLink-Webhooks/2.1.3',
+          ...headers
+        }
+      }, (response) => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.timeoutMs}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+/**
+ * Click Stream Class
+ *
+ * Fans clicks out to Server-Sent Events subscribers, either for one link or
+ * for every link of an owner. Recent events are kept in a short ring buffer
+ * so reconnecting clients can resume from their Last-Event-ID.
+ */
+class ClickStream {
+  constructor(store, options = {}) {
+    const {
+      bufferSize = SSE_BUFFER_SIZE,
+      heartbeatInterval = SSE_HEARTBEAT_MS,
+      maxSubscribers = SSE_MAX_SUBSCRIBERS
+    } = options;
+
+    this.bufferSize = bufferSize;
+    this.heartbeatInterval = heartbeatInterval;
+    this.maxSubscribers = maxSubscribers;
+    this.buffer = [];
+    this.lastId = 0;
+    this.subscribers = new Set();
+    // Open streams per owner, capped at maxSubscribers
+    this.ownerSubscribers = new Map();
+
+    store.on('link.clicked', (record, details) => this.publish(record, details));
+  }
+
+  publish(record, details) {
+    const event = {
+      id: ++this.lastId,
+      ownerId: record.ownerId,
+      key: linkKey(record.domain, record.shortcode),
+      data: JSON.stringify(toLinkEventData(record, details))
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    for (const subscriber of this.subscribers) {
+      if (this._matches(subscriber.filter, event)) {
+        this._send(subscriber.res, event);
+      }
+    }
+  }
+
+  /**
+   * Turns the response into an event stream and keeps it open until the
+   * client disconnects or the stream is closed. Throws RateLimitError when
+   * the owner already has maxSubscribers streams open.
+   */
+  open(req, res, filter) {
+    const open = this.ownerSubscribers.get(filter.ownerId) || 0;
+    if (open >= this.maxSubscribers) {
+      throw new RateLimitError(Math.ceil(SSE_RETRY_MS / 1000));
+    }
+    this.ownerSubscribers.set(filter.ownerId, open + 1);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (Number.isInteger(lastEventId)) {
+      this.buffer
+        .filter(event => event.id > lastEventId && this._matches(filter, event))
+        .forEach(event => this._send(res, event));
+    }
+
+    const subscriber = {
+      res,
+      filter,
+      heartbeat: setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatInterval)
+    };
+    this.subscribers.add(subscriber);
+
+    req.on('close', () => {
+      clearInterval(subscriber.heartbeat);
+      this.subscribers.delete(subscriber);
+
+      const remaining = this.ownerSubscribers.get(filter.ownerId) - 1;
+      if (remaining > 0) {
+        this.ownerSubscribers.set(filter.ownerId, remaining);
+      } else {
+        this.ownerSubscribers.delete(filter.ownerId);
+      }
+    });
+  }
+
+  close() {
+    for (const subscriber of this.subscribers) {
+      clearInterval(subscriber.heartbeat);
+      subscriber.res.end();
+    }
+    this.subscribers.clear();
+    this.ownerSubscribers.clear();
+  }
+
+  _matches(filter, event) {
+    return event.ownerId === filter.ownerId &&
+      (!filter.key || event.key === filter.key);
+  }
+
+  _send(res, event) {
+    res.write(`id: ${event.id}\nevent: click\ndata: ${event.data}\n\n`);
+  }
+}
+
+// ============================================================================
+// VALIDATION SCHEMAS
+// ============================================================================
+
+const urlSchema = Joi.string()
+  .pattern(/^https?:\/\/.+/)
+  .message('URL must start with http:// or https://')
+  .max(2048)
+  .required();
+
+const shortcodeSchema = Joi.string()
+  .pattern(/^[a-zA-Z0-9_-]+$/)
+  .min(3)
+  .max(20)
+  .message('Shortcode must be 3-20 characters, alphanumeric, underscore, or dash only');
+
+const timezoneSchema = Joi.string()
+  .custom((value, helpers) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return value;
+    } catch (error) {
+      return helpers.error('any.invalid');
+    }
+  })
+  .messages({ 'any.invalid': 'timezone must be an IANA time zone like Europe/Berlin' });
+
+const ruleSchema = Joi.object({
+  name: Joi.string()
+    .max(50)
+    .optional(),
+  url: urlSchema,
+  countries: Joi.array()
+    .items(Joi.string().uppercase().min(2).max(64))
+    .min(1),
+  languages: Joi.array()
+    .items(Joi.string().lowercase().pattern(/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/))
+    .min(1),
+  hours: Joi.object({
+    from: Joi.number().integer().min(0).max(23).required(),
+    to: Joi.number().integer().min(0).max(24).required(),
+    timezone: timezoneSchema.default('UTC')
+  })
+}).or('countries', 'languages', 'hours')
+  .messages({ 'object.missing': 'Each rule needs at least one of countries, languages or hours' });
+
+const rulesSchema = Joi.array()
+  .items(ruleSchema)
+  .max(20);
+
+const variantsSchema = Joi.array()
+  .items(Joi.object({
+    name: Joi.string()
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .max(30)
+      .required(),
+    url: urlSchema,
+    weight: Joi.number()
+      .integer()
+      .min(0)
+      .max(1000)
+      .default(1)
+  }))
+  .min(2)
+  .max(10)
+  .unique('name')
+  .custom((variants, helpers) => {
+    return variants.some(variant => variant.weight > 0) ? variants : helpers.error('any.invalid');
+  })
+  .messages({
+    'array.min': 'Provide at least two variants for an A/B split',
+    'array.unique': 'Variant names must be unique',
+    'any.invalid': 'At least one variant needs a weight above 0'
+  });
+
+const domainSchema = Joi.string()
+  .hostname()
+  .lowercase()
+  .max(253)
+  .messages({
+    'string.hostname': 'Domain must be a valid hostname'
+  });
+
+const tagsSchema = Joi.array()
+  .items(
+    Joi.string()
+      .trim()
+      .lowercase()
+      .max(32)
+      .pattern(/^[a-z0-9][a-z0-9_-]*$/)
+      .messages({
+        'string.pattern.base': 'Tags may only contain letters, digits, underscores and hyphens'
+      })
+  )
+  .max(20)
+  .unique();
+
+const schemas = {
+  createUrl: Joi.object({
+    url: urlSchema,
+    shortcode: shortcodeSchema.optional(),
+    expiresIn: Joi.number()
+      .integer()
+      .min(1)
+      .max(365 * 24 * 60)
+      .when('expiresAt', {
+        is: Joi.exist(),
+        then: Joi.forbidden()
+      })
+      .messages({
+        'number.min': 'Expiration must be at least 1 minute',
+        'number.max': 'Expiration cannot exceed 1 year',
+        'any.unknown': 'Use either expiresIn or expiresAt, not both'
+      }),
+    expiresAt: Joi.date()
+      .iso()
+      .greater('now')
+      .when('activatesAt', {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref('activatesAt'))
+      })
+      .optional()
+      .messages({
+        'date.greater': 'expiresAt must be in the future and after activatesAt'
+      }),
+    activatesAt: Joi.date()
+      .iso()
+      .optional(),
+    description: Joi.string()
+      .max(200)
+      .optional()
+      .allow(''),
+    password: Joi.string()
+      .min(4)
+      .max(128)
+      .optional(),
+    maxClicks: Joi.number()
+      .integer()
+      .min(1)
+      .max(1000000000)
+      .optional()
+      .messages({
+        'number.min': 'maxClicks must be at least 1'
+      }),
+    interstitial: Joi.string()
+      .valid(...INTERSTITIAL_MODES)
+      .optional(),
+    domain: domainSchema.optional(),
+    tags: tagsSchema.optional(),
+    rules: rulesSchema.optional(),
+    variants: variantsSchema.optional(),
+    reuseExisting: Joi.boolean()
+      .optional()
+      .when('shortcode', {
+        is: Joi.exist(),
+        then: Joi.forbidden()
+      })
+      .messages({
+        'any.unknown': 'reuseExisting cannot be combined with a custom shortcode'
+      })
+  }).options({ stripUnknown: true }),
+
+  updateUrl: Joi.object({
+    url: urlSchema.optional(),
+    expiresIn: Joi.number()
+      .integer()
+      .min(1)
+      .max(365 * 24 * 60)
+      .messages({
+        'number.min': 'Expiration must be at least 1 minute',
+        'number.max': 'Expiration cannot exceed 1 year'
+      }),
+    expiresAt: Joi.date()
+      .iso()
+      .greater('now')
+      .messages({
+        'date.greater': 'expiresAt must be in the future'
+      }),
+    activatesAt: Joi.date()
+      .iso()
+      .allow(null),
+    description: Joi.string()
+      .max(200)
+      .allow(''),
+    password: Joi.string()
+      .min(4)
+      .max(128)
+      .allow(null),
+    maxClicks: Joi.number()
+      .integer()
+      .min(1)
+      .max(1000000000)
+      .allow(null)
+      .messages({
+        'number.min': 'maxClicks must be at least 1'
+      }),
+    interstitial: Joi.string()
+      .valid(...INTERSTITIAL_MODES),
+    tags: tagsSchema,
+    rules: rulesSchema,
+    variants: Joi.alternatives().try(variantsSchema, Joi.array().length(0))
+  }).min(1)
+    .message('Provide at least one of url, description, expiresIn, expiresAt, activatesAt, password, maxClicks, interstitial, tags, rules or variants')
+    .oxor('expiresIn', 'expiresAt')
+    .options({ stripUnknown: true }),
+
+  createWebhook: Joi.object({
+    url: urlSchema,
+    events: Joi.array()
+      .items(Joi.string().valid(...WEBHOOK_EVENTS, '*'))
+      .min(1)
+      .unique()
+      .default(['*']),
+    description: Joi.string()
+      .max(200)
+      .optional()
+      .allow('')
+  }).options({ stripUnknown: true }),
+
+  webhookDeliveries: Joi.object({
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(WEBHOOK_LOG_LIMIT)
+      .default(50)
+  }).options({ stripUnknown: true }),
+
+  listUrls: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .default(10),
+    cursor: Joi.string()
+      .max(1024),
+    status: Joi.string()
+      .valid(...LINK_STATUSES, 'all')
+      .default('live'),
+    domain: domainSchema.optional(),
+    tag: tagsSchema
+      .single()
+      .max(10)
+      .default([]),
+    q: Joi.string()
+      .trim()
+      .max(200)
+      .allow(''),
+    createdFrom: Joi.date().iso(),
+    createdTo: Joi.date().iso(),
+    expiresFrom: Joi.date().iso(),
+    expiresTo: Joi.date().iso(),
+    minClicks: Joi.number()
+      .integer()
+      .min(0),
+    sort: Joi.string()
+      .valid(...LINK_SORT_FIELDS)
+      .default('createdAt'),
+    order: Joi.string()
+      .valid('asc', 'desc')
+      .default('desc')
+  }).options({ stripUnknown: true }),
+
+  createDomain: Joi.object({
+    hostname: domainSchema.required(),
+    ownerId: Joi.string()
+      .max(64)
+      .allow(null)
+      .default(null),
+    defaultExpiresIn: Joi.number()
+      .integer()
+      .min(1)
+      .max(365 * 24 * 60)
+      .allow(null)
+      .default(null)
+      .messages({
+        'number.min': 'Default expiration must be at least 1 minute',
+        'number.max': 'Default expiration cannot exceed 1 year'
+      }),
+    reservedWords: Joi.array()
+      .items(Joi.string().lowercase().pattern(/^[a-z0-9_-]+$/).max(50))
+      .max(1000)
+      .unique()
+      .default([])
+  }).options({ stripUnknown: true }),
+
+  domainParams: Joi.object({
+    hostname: domainSchema.required()
+  }),
+
+  createApiKey: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+  }).options({ stripUnknown: true }),
+
+  getStats: Joi.object({
+    shortcode: Joi.string()
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .min(3)
+      .max(20)
+      .required()
+  }),
+
+  qrCode: Joi.object({
+    format: Joi.string()
+      .valid('svg', 'png')
+      .default('svg'),
+    size: Joi.number()
+      .integer()
+      .min(64)
+      .max(2048)
+      .default(256),
+    margin: Joi.number()
+      .integer()
+      .min(0)
+      .max(20)
+      .default(4),
+    ecl: Joi.string()
+      .uppercase()
+      .valid('L', 'M', 'Q', 'H')
+      .default('M'),
+    dark: Joi.string()
+      .pattern(/^#?([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/)
+      .default('#000000')
+      .messages({ 'string.pattern.base': 'dark must be a hex color like #000000' }),
+    light: Joi.string()
+      .pattern(/^#?([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/)
+      .default('#ffffff')
+      .messages({ 'string.pattern.base': 'light must be a hex color like #ffffff' })
+  }).options({ stripUnknown: true }),
+
+  timeseries: Joi.object({
+    granularity: Joi.string()
+      .valid('hour', 'day')
+      .default('day'),
+    timezone: timezoneSchema.default('UTC'),
+    from: Joi.date()
+      .iso()
+      .optional(),
+    to: Joi.date()
+      .iso()
+      .min(Joi.ref('from'))
+      .optional()
+      .messages({
+        'date.min': 'to must not be before from'
+      })
+  }).options({ stripUnknown: true }),
+
+  exportClicks: Joi.object({
+    format: Joi.string()
+      .valid('csv', 'ndjson')
+      .default('csv'),
+    from: Joi.date()
+      .iso()
+      .optional(),
+    to: Joi.date()
+      .iso()
+      .min(Joi.ref('from'))
+      .optional()
+      .messages({
+        'date.min': 'to must not be before from'
+      })
+  }).options({ stripUnknown: true })
+};
+
+// ============================================================================
+// MIDDLEWARE FUNCTIONS
+// ============================================================================
+
+const asyncHandler = (fn) => {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+};
+
+const validateSchema = (schemaName, data) => {
+  const schema = schemas[schemaName];
+  if (!schema) {
+    throw new Error(`Unknown validation schema: ${schemaName}`);
+  }
+
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    allowUnknown: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message.replace(/"/g, ''),
+      value: detail.context?.value,
+      type: detail.type
+    }));
+
+    throw new ValidationError('Validation failed', details);
+  }
+
+  return value;
+};
+
+const validateInput = (schemaName, source = 'body') => {
+  return (req, res, next) => {
+    let dataToValidate;
+    switch (source) {
+      case 'body':
+        dataToValidate = req.body;
+        break;
+      case 'params':
+        dataToValidate = req.params;
+        break;
+      case 'query':
+        dataToValidate = req.query;
+        break;
+      default:
+        return next(new Error(`Invalid validation source: ${source}`));
+    }
+
+    let value;
+    try {
+      value = validateSchema(schemaName, dataToValidate);
+    } catch (error) {
+      return next(error);
+    }
+
+    switch (source) {
+      case 'body':
+        req.body = value;
+        break;
+      case 'params':
+        req.params = value;
+        break;
+      case 'query':
+        req.query = value;
+        break;
+    }
+
+    next();
+  };
+};
+
+// Checks the main destination and every rule and variant destination present
+const checkDestinations = async ({ url, rules, variants }) => {
+  if (url !== undefined) {
+    await urlSafety.check(url);
+  }
+
+  for (const [index, rule] of (rules || []).entries()) {
+    try {
+      await urlSafety.check(rule.url);
+    } catch (error) {
+      throw new ValidationError(`Rule ${index + 1}: ${error.message}`);
+    }
+  }
+
+  for (const variant of variants || []) {
+    try {
+      await urlSafety.check(variant.url);
+    } catch (error) {
+      throw new ValidationError(`Variant ${variant.name}: ${error.message}`);
+    }
+  }
+};
+
+const validateUrlReachability = async (req, res, next) => {
+  // Partial updates may leave the destinations untouched
+  try {
+    await checkDestinations(req.body);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const normalizeShortcode = (shortcode) => {
+  const normalized = shortcode.toLowerCase().trim();
+    
+  const reservedWords = ['api', 'health', 'metrics', 'admin', 'www', 'app', 'dashboard'];
+  if (reservedWords.includes(normalized)) {
+    throw new ValidationError('Shortcode conflicts with reserved word');
+  }
+
+  return normalized;
+};
+
+const sanitizeShortcode = (req, res, next) => {
+  if (req.body.shortcode) {
+    try {
+      req.body.shortcode = normalizeShortcode(req.body.shortcode);
+    } catch (error) {
+      return next(error);
+    }
+  }
+  
+  next();
+};
+
+// Constant-time comparison of a provided secret with the configured one
+const secretsMatch = (provided, expected) => {
+  const providedBuffer = Buffer.from(provided || '');
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+const scryptAsync = (password, salt) => {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 32, (error, derivedKey) => {
+      if (error) reject(error);
+      else resolve(derivedKey);
+    });
+  });
+};
+
+// Link passwords are stored as "scrypt:<salt>:<hash>" (hex)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const derivedKey = await scryptAsync(password, salt);
+  return `scrypt:${salt.toString('hex')}:${derivedKey.toString('hex')}`;
+};
+
+const verifyPassword = async (password, storedHash) => {
+  const [scheme, salt, hash] = storedHash.split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scryptAsync(password, Buffer.from(salt, 'hex'));
+  return crypto.timingSafeEqual(derivedKey, expected);
+};
+
+const extractApiKey = (req) => {
+  const authorization = req.headers['authorization'];
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || null;
+};
+
+// Wrong API keys and admin tokens use up the client IP's auth budget, so
+// credentials can't be guessed; clients without attempts left are turned
+// away before their credentials are checked
+const checkAuthAttempts = (req) => {
+  const client = `ip:${getClientIp(req)}`;
+  if (!rateLimiter.hasTokens('auth', client)) {
+    throw new RateLimitError(rateLimiter.consume('auth', client).retryAfter);
+  }
+};
+
+const recordFailedAuth = (req) => {
+  rateLimiter.consume('auth', `ip:${getClientIp(req)}`);
+};
+
+// Wrong passwords for a protected link use up the client's budget for that
+// link and the link's overall budget, so one client can't lock the link for
+// everyone. Returns the seconds to wait when either budget is used up
+const checkPasswordAttempts = (req, key) => {
+  const client = `${key}|ip:${getClientIp(req)}`;
+  if (!rateLimiter.hasTokens('password', client)) {
+    return rateLimiter.consume('password', client).retryAfter;
+  }
+  if (!rateLimiter.hasTokens('passwordLink', key)) {
+    return rateLimiter.consume('passwordLink', key).retryAfter;
+  }
+  return null;
+};
+
+const recordFailedPassword = (req, key) => {
+  rateLimiter.consume('password', `${key}|ip:${getClientIp(req)}`);
+  rateLimiter.consume('passwordLink', key);
+};
+
+const requireApiKey = asyncHandler(async (req, res, next) => {
+  checkAuthAttempts(req);
+
+  const key = extractApiKey(req);
+  if (!key) {
+    throw new UnauthorizedError('API key required (Authorization: Bearer <key> or X-API-Key header)');
+  }
+
+  const apiKey = await store.getApiKeyByHash(hashApiKey(key));
+  if (!apiKey || apiKey.revokedAt) {
+    recordFailedAuth(req);
+    throw new UnauthorizedError('Invalid or revoked API key');
+  }
+
+  req.apiKey = { id: apiKey.id, name: apiKey.name };
+  next();
+});
+
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return next(new ForbiddenError('Admin API is disabled (ADMIN_TOKEN not configured)'));
+  }
+
+  try {
+    checkAuthAttempts(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!secretsMatch(extractApiKey(req), ADMIN_TOKEN)) {
+    recordFailedAuth(req);
+    return next(new UnauthorizedError('Invalid admin token'));
+  }
+
+  next();
+};
+
+// A domain can be used by the API key it is assigned to, or by every key
+// when it has no owner
+const canUseDomain = (domain, apiKey) => {
+  return !domain.ownerId || domain.ownerId === apiKey.id;
+};
+
+/**
+ * Resolves the custom domain an API request names explicitly, or null for
+ * the default namespace. The Host header is deliberately ignored: only
+ * redirects resolve links on the host they arrive at (see visitedLinkKey).
+ * Unknown domains and domains assigned to another key are both reported as
+ * not found.
+ */
+const resolveDomain = async (req, requested) => {
+  if (!requested) {
+    return null;
+  }
+
+  const domain = await store.findDomain(String(requested).toLowerCase().replace(/\.$/, ''));
+  if (!domain || !canUseDomain(domain, req.apiKey)) {
+    throw new NotFoundError('Domain');
+  }
+  return domain;
+};
+
+/**
+ * Loads the URL named by :shortcode (on the domain chosen with ?domain=, see
+ * resolveDomain) into req.urlRecord and its store key into req.linkKey,
+ * answering 404 for links owned by another API key so their existence is
+ * not revealed.
+ */
+const loadOwnedUrl = asyncHandler(async (req, res, next) => {
+  const domain = await resolveDomain(req, req.query.domain);
+  const key = linkKey(domain ? domain.hostname : null, req.params.shortcode);
+
+  const record = await store.findUrl(key);
+  if (!record || record.ownerId !== req.apiKey.id) {
+    throw new NotFoundError('Short URL');
+  }
+
+  req.urlRecord = record;
+  req.linkKey = key;
+  next();
+});
+
+// JSON with object keys sorted, so the same payload always reads the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// Idempotency-Keys whose first request is still being processed
+const pendingIdempotencyKeys = new Set();
+
+/**
+ * Makes a creation endpoint safe to retry. The first successful response to a
+ * request carrying an Idempotency-Key header is saved for
+ * IDEMPOTENCY_TTL_HOURS, and later requests from the same API key with the
+ * same key get it replayed instead of being processed again. Reusing a key
+ * for a different request, or while its first request is still running, is
+ * a conflict. Failed requests are not saved, so they can be retried as is.
+ * Runs ahead of the rate limiter, so replays don't use up tokens.
+ */
+const idempotent = asyncHandler(async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+  if (!/^[\x21-\x7e]{1,255}$/.test(idempotencyKey)) {
+    throw new ValidationError('Idempotency-Key must be 1-255 printable ASCII characters');
+  }
+
+  const id = `${req.apiKey.id}:${idempotencyKey}`;
+  const payload = typeof req.body === 'string' ? req.body : canonicalJson(req.body);
+  const fingerprint = crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${payload}`)
+    .digest('hex');
+
+  const saved = await store.findIdempotencyRecord(id);
+  if (saved) {
+    if (saved.fingerprint !== fingerprint) {
+      throw new ConflictError('Idempotency-Key was already used for a different request');
+    }
+
+    logger.info('Idempotent request replayed', { apiKeyId: req.apiKey.id, idempotencyKey });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(saved.statusCode).json(saved.body);
+  }
+
+  if (pendingIdempotencyKeys.has(id)) {
+    throw new ConflictError('A request with this Idempotency-Key is still being processed');
+  }
+  pendingIdempotencyKeys.add(id);
+  res.on('close', () => pendingIdempotencyKeys.delete(id));
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      const now = new Date();
+      const record = {
+        id,
+        fingerprint,
+        statusCode: res.statusCode,
+        // Copied so later changes to the link don't alter the replay
+        body: JSON.parse(JSON.stringify(body)),
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * HOUR_MS)
+      };
+
+      Promise.resolve(store.storeIdempotencyRecord(record)).catch(error => {
+        logger.error('Error saving idempotent response', { error, idempotencyKey });
+      });
+    }
+    return sendJson(body);
+  };
+
+  next();
+});
+
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const requestId = req.requestId || 'unknown';
+  const requestFields = {
+    url: req.originalUrl,
+    method: req.method,
+    ip: getClientIp(req)
+  };
+
+  // Client errors are expected; only unexpected ones need a stack trace
+  if (error instanceof AppError && error.statusCode < 500) {
+    logger.warn(error.message, { code: error.code, ...requestFields });
+  } else {
+    logger.error(error.message, { error, ...requestFields });
+  }
+
+  let statusCode = 500;
+  let message = 'Something went wrong on our end';
+  let code = 'INTERNAL_ERROR';
+  let details = null;
+
+  if (error instanceof AppError) {
+    statusCode = error.statusCode;
+    message = error.message;
+    code = error.code;
+    
+    if (error instanceof ValidationError) {
+      details = error.details;
+    }
+    if (error instanceof RateLimitError) {
+      res.set('Retry-After', error.retryAfter);
+    }
+  } else if (error.name === 'ValidationError' && error.details) {
+    statusCode = 400;
+    message = 'Invalid request data';
+    code = 'VALIDATION_ERROR';
+    details = error.details.map(detail => ({
+      field: detail.path?.join('.') || 'unknown',
+      message: detail.message,
+      value: detail.context?.value
+    }));
+  }
+
+  const errorResponse = {
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString(),
+      requestId
+    }
+  };
+
+  if (details) {
+    errorResponse.error.details = details;
+  }
+
+  if (NODE_ENV === 'development') {
+    errorResponse.error.stack = error.stack;
+  }
+
+  res.status(statusCode).json(errorResponse);
+};
+
+// ============================================================================
+// HTML PAGES
+// ============================================================================
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Wraps page content in the shared QuickLink layout
+ */
+const renderPage = (title, content) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(title)} - QuickLink</title>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <meta name="robots" content="noindex">
+      <style>
+        body { 
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          margin: 0; padding: 0; height: 100vh;
+          display: flex; align-items: center; justify-content: center;
+          color: white;
+        }
+        .container { 
+          text-align: center; max-width: 500px; padding: 2rem;
+          background: rgba(255,255,255,0.1); border-radius: 20px;
+          backdrop-filter: blur(10px); box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+        }
+        h1 { font-size: 3rem; margin: 0 0 1rem 0; }
+        p { font-size: 1.2rem; margin: 1rem 0; opacity: 0.9; }
+        .code { 
+          background: rgba(255,255,255,0.2); padding: 0.5rem 1rem;
+          border-radius: 8px; font-family: monospace; margin: 1rem 0;
+        }
+        .error { color: #ffd700; font-weight: bold; }
+        .url { display: inline-block; word-break: break-all; }
+        input {
+          font-size: 1.1rem; padding: 0.6rem 1rem; border: none;
+          border-radius: 8px; margin: 0.5rem 0; width: 80%;
+        }
+        button {
+          font-size: 1.1rem; padding: 0.6rem 1.5rem; border: none; cursor: pointer;
+          border-radius: 8px; background: #ffd700; color: #333; font-weight: bold;
+        }
+        a { color: #ffd700; text-decoration: none; font-weight: bold; }
+        a:hover { text-decoration: underline; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        ${content}
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+const renderNotFoundPage = (shortcode) => {
+  return renderPage('Link Not Found', `
+        <h1>🔍</h1>
+        <h2>Link Not Found</h2>
+        <p>The short link <span class="code">${escapeHtml(shortcode)}</span> doesn't exist or has expired.</p>
+        <p>This could happen if:</p>
+        <ul style="text-align: left; display: inline-block;">
+          <li>The link was mistyped</li>
+          <li>The link has expired</li>
+          <li>The link was deleted</li>
+        </ul>
+        <p><a href="/">← Go to homepage</a></p>
+  `);
+};
+
+const renderPasswordPage = (shortcode, { error = null, source = null, track = null } = {}) => {
+  return renderPage('Protected Link', `
+        <h1>🔒</h1>
+        <h2>This link is password protected</h2>
+        <p>Enter the password for <span class="code">${escapeHtml(shortcode)}</span> to continue.</p>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <form method="POST" action="/${escapeHtml(shortcode)}">
+          <input type="password" name="password" autocomplete="current-password" required autofocus>
+          ${source ? `<input type="hidden" name="source" value="${escapeHtml(source)}">` : ''}
+          ${track ? `<input type="hidden" name="track" value="${escapeHtml(track)}">` : ''}
+          <p><button type="submit">Continue</button></p>
+        </form>
+  `);
+};
+
+const renderPreviewPage = (record) => {
+  const varies = record.rules?.length > 0 || record.variants?.length > 0;
+
+  // The destination is what a password protects, so it stays hidden
+  const destination = record.passwordHash
+    ? '<p>The destination is hidden because this link is password protected.</p>'
+    : `
+        <p>This short link leads to:</p>
+        <p class="code url">${escapeHtml(record.originalUrl)}</p>
+        ${varies ? '<p>Some visitors are sent elsewhere depending on their location, language, the time of day or an A/B split.</p>' : ''}`;
+
+  return renderPage('Link Preview', `
+        <h1>🔎</h1>
+        <h2>Link Preview</h2>
+        ${destination}
+        <ul style="text-align: left; display: inline-block;">
+          ${record.description ? `<li>Description: ${escapeHtml(record.description)}</li>` : ''}
+          <li>Created: ${escapeHtml(record.createdAt.toUTCString())}</li>
+          <li>Clicks: ${record.clickCount}</li>
+        </ul>
+        <p><a href="/${escapeHtml(record.shortcode)}" rel="nofollow">Continue to link →</a></p>
+  `);
+};
+
+const renderInterstitialPage = (record, destinationUrl, continueUrl) => {
+  const notice = record.interstitial === 'unverified'
+    ? 'The destination of this link has not been verified. Only continue if you trust it.'
+    : 'This link leads to an external site that QuickLink does not control.';
+
+  return renderPage('Leaving QuickLink', `
+        <h1>⚠️</h1>
+        <h2>You're leaving QuickLink</h2>
+        <p>${notice}</p>
+        <p class="code url">${escapeHtml(destinationUrl)}</p>
+        <p><a href="${escapeHtml(continueUrl)}" rel="nofollow noreferrer">Continue to site →</a></p>
+        <p><a href="/${escapeHtml(record.shortcode)}+">Show link details</a></p>
+  `);
+};
+
+const comingSoonTemplate = COMING_SOON_TEMPLATE
+  ? fs.readFileSync(COMING_SOON_TEMPLATE, 'utf8')
+  : null;
+
+const renderComingSoonPage = (shortcode, activatesAt) => {
+  if (comingSoonTemplate) {
+    return comingSoonTemplate
+      .replace(/\{\{shortcode\}\}/g, escapeHtml(shortcode))
+      .replace(/\{\{activatesAt\}\}/g, escapeHtml(activatesAt.toISOString()));
+  }
+
+  return renderPage('Coming Soon', `
+        <h1>⏳</h1>
+        <h2>Coming Soon</h2>
+        <p>The short link <span class="code">${escapeHtml(shortcode)}</span> isn't live yet.</p>
+        <p>Check back after <strong>${escapeHtml(activatesAt.toUTCString())}</strong>.</p>
+  `);
+};
+
+// ============================================================================
+// INITIALIZE SERVICES
+// ============================================================================
+
+const requestLogger = new RequestLogger();
+const rateLimiter = new RateLimiter(RATE_LIMITS, (req) => {
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${getClientIp(req)}`;
+});
+const shortcodeGenerator = new ShortcodeGenerator();
+const geoIp = GEOIP_DATABASE ? new GeoIpDatabase(GEOIP_DATABASE) : null;
+if (geoIp) {
+  try {
+    geoIp.load();
+  } catch (error) {
+    logger.error('Failed to load GeoIP database, countries will be reported as Unknown', { file: GEOIP_DATABASE, error });
+  }
+  geoIp.watch();
+}
+
+const loadDomainList = (filePath, name) => {
+  const list = new DomainList(filePath, name);
+  try {
+    list.load();
+  } catch (error) {
+    logger.error('Failed to load domain list', { list: name, file: filePath, error });
+  }
+  list.watch();
+  return list;
+};
+
+const urlSafety = new UrlSafetyChecker({
+  blocklist: URL_BLOCKLIST_FILE ? loadDomainList(URL_BLOCKLIST_FILE, 'blocklist') : null,
+  allowlist: URL_ALLOWLIST_FILE ? loadDomainList(URL_ALLOWLIST_FILE, 'allowlist') : null
+});
+
+const store = createStore();
+metricsRegistry.gauge('quicklink_links', 'Stored short links', async () => {
+  const storeStats = await store.getStats();
+  return [
+    { labels: { status: 'live' }, value: storeStats.activeUrls },
+    { labels: { status: 'other' }, value: storeStats.totalUrls - storeStats.activeUrls }
+  ];
+});
+metricsRegistry.gauge('quicklink_cache_entries', 'Short URLs held in the lookup cache', async () => {
+  return (await store.getStats()).cacheSize;
+});
+metricsRegistry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+metricsRegistry.gauge('process_uptime_seconds', 'Process uptime in seconds', () => Math.floor(process.uptime()));
+
+const webhookDispatcher = new WebhookDispatcher(store);
+const clickStream = new ClickStream(store);
+
+const EXPORT_FIELDS = ['shortcode', 'domain', 'timestamp', 'referer', 'country', 'region', 'city', 'userAgent', 'os', 'device', 'visitorId', 'requestId', 'source', 'rule', 'variant'];
+
+const toCsvRow = (values) => {
+  return values.map(value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+};
+
+const periodFormatters = new Map();
+
+// Label of the hour ("2024-03-01T14:00") or day ("2024-03-01") containing
+// date, in the given time zone
+const formatPeriod = (date, granularity, timezone) => {
+  if (!periodFormatters.has(timezone)) {
+    periodFormatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23',
+      timeZone: timezone
+    }));
+  }
+
+  const parts = {};
+  periodFormatters.get(timezone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+  return granularity === 'day' ? day : `${day}T${parts.hour}:00`;
+};
+
+const summarizeRollup = (bucket) => ({
+  clicks: bucket.clicks,
+  scans: bucket.scans,
+  uniqueVisitors: bucket.visitors.count(),
+  topReferers: topCounts(bucket.referers, 'referer'),
+  topCountries: topCounts(bucket.countries, 'country'),
+  devices: bucket.devices
+});
+
+/**
+ * Groups a link's rollups into consecutive hour or day periods of the given
+ * time zone between from and to, including empty periods, plus totals over
+ * the whole range. UTC days are read from the day rollups; other zones are
+ * regrouped from hourly rollups (UTC hours, so zones with half-hour offsets
+ * are shifted by the remainder).
+ */
+const buildTimeseries = async (key, { granularity, timezone, from, to }) => {
+  const useDayRollups = granularity === 'day' && timezone === 'UTC';
+  const step = useDayRollups ? DAY_MS : HOUR_MS;
+  const firstStart = from.getTime() - (from.getTime() % step);
+
+  const periodCount = Math.ceil((to.getTime() - firstStart) / (granularity === 'day' ? DAY_MS : HOUR_MS));
+  if (periodCount > TIMESERIES_MAX_BUCKETS) {
+    throw new ValidationError(`Range covers ${periodCount} ${granularity}s, at most ${TIMESERIES_MAX_BUCKETS} are allowed`);
+  }
+
+  const periods = new Map();
+  for (let time = firstStart; time <= to.getTime(); time += step) {
+    const period = formatPeriod(new Date(time), granularity, timezone);
+    if (!periods.has(period)) {
+      periods.set(period, { period, start: new Date(time), bucket: createRollupBucket() });
+    }
+  }
+
+  const rollups = await store.getRollups(key, {
+    granularity: useDayRollups ? 'day' : 'hour',
+    from: new Date(firstStart),
+    to
+  });
+  rollups.forEach(rollup => {
+    const entry = periods.get(formatPeriod(rollup.start, granularity, timezone));
+    if (entry) {
+      mergeRollupBuckets(entry.bucket, rollup);
+    }
+  });
+
+  const total = createRollupBucket();
+  const series = Array.from(periods.values()).map(({ period, start, bucket }) => {
+    mergeRollupBuckets(total, bucket);
+    return { period, start, ...summarizeRollup(bucket) };
+  });
+
+  return { totals: summarizeRollup(total), series };
+};
+
+/**
+ * Streams the clicks of the given links to the response as CSV or NDJSON,
+ * one row per click, waiting for the socket to drain so large exports don't
+ * buffer in memory.
+ */
+const streamClickExport = async (req, res, records, { format, filename, from, to }) => {
+  const contentType = format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson';
+
+  res.status(200);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  let aborted = false;
+  req.on('close', () => {
+    aborted = true;
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+
+  if (format === 'csv') {
+    await write(toCsvRow(EXPORT_FIELDS));
+  }
+
+  let rowCount = 0;
+  for (const record of records) {
+    const clicks = await store.iterateClicks(linkKey(record.domain, record.shortcode), { from, to });
+
+    for await (const click of clicks) {
+      if (aborted) {
+        logger.warn('Export aborted by client', { rows: rowCount });
+        return;
+      }
+
+      const row = {
+        shortcode: record.shortcode,
+        domain: record.domain || null,
+        timestamp: click.timestamp.toISOString(),
+        referer: click.referer,
+        country: click.country,
+        region: click.region || null,
+        city: click.city || null,
+        userAgent: click.userAgent,
+        os: click.os || 'unknown',
+        device: click.device || 'unknown',
+        visitorId: click.visitorId || null,
+        requestId: click.requestId || null,
+        source: click.source || 'link',
+        rule: click.rule || 'default',
+        variant: click.variant || null
+      };
+
+      await write(format === 'csv'
+        ? toCsvRow(EXPORT_FIELDS.map(field => row[field]))
+        : JSON.stringify(row) + '\n');
+      rowCount++;
+    }
+  }
+
+  res.end();
+  logger.info('Clicks exported', { rows: rowCount, format });
+};
+
+// Public short URL of a link: on its custom domain, or on the host the API
+// was called on for the default namespace
+const buildShortUrl = (req, record) => {
+  return `${req.protocol}://${record.domain || req.get('host')}/${record.shortcode}`;
+};
+
+/**
+ * Opaque GET /api/urls cursors hold the sort, order and position of the
+ * last link of a page, so the next page starts right after it even when
+ * links are added or removed in between.
+ */
+const encodeListCursor = (record, sort, order) => {
+  const position = [sort, order, linkSortValue(record, sort), linkKey(record.domain, record.shortcode)];
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+const decodeListCursor = (cursor, sort, order) => {
+  let position = null;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    // Reported below
+  }
 
-    if (error) {
-      const details = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message.replace(/"/g, ''),
-        value: detail.context?.value,
-        type: detail.type
-      }));
+  if (!Array.isArray(position) || position.length !== 4 || typeof position[3] !== 'string') {
+    throw new ValidationError('Invalid cursor');
+  }
+  if (position[0] !== sort || position[1] !== order) {
+    throw new ValidationError('Cursor belongs to a different sort order');
+  }
+  return { value: position[2], key: position[3] };
+};
 
-      return next(new ValidationError('Validation failed', details));
-    }
+// Lifetime in minutes of a new link on the domain without expiresIn/expiresAt
+const defaultExpiresIn = (domain) => (domain && domain.defaultExpiresIn) || DEFAULT_EXPIRES_IN;
 
-    switch (source) {
-      case 'body':
-        req.body = value;
-        break;
-      case 'params':
-        req.params = value;
-        break;
-      case 'query':
-        req.query = value;
-        break;
-    }
+/**
+ * Creates a short URL for an already validated createUrl payload in the
+ * namespace of the given domain (null for the default one), generating a
+ * shortcode unless a custom one was requested.
+ */
+const createShortUrl = async (data, ownerId, domain = null) => {
+  const { url, shortcode: customShortcode, password, ...options } = data;
+  const hostname = domain ? domain.hostname : null;
+  const isReserved = (code) => Boolean(domain) && domain.reservedWords.includes(code.toLowerCase());
 
-    next();
-  };
-};
+  if (options.expiresIn === undefined && options.expiresAt === undefined) {
+    options.expiresIn = defaultExpiresIn(domain);
+  }
 
-const validateUrlReachability = async (req, res, next) => {
-  const { url } = req.body;
-  
-  try {
-    const urlObj = new URL(url);
+  let finalShortcode = customShortcode;
     
-    const hostname = urlObj.hostname.toLowerCase();
-    if (hostname === 'localhost' || 
-        hostname === '127.0.0.1' || 
-        hostname.startsWith('192.168.') ||
-        hostname.startsWith('10.') ||
-        hostname.startsWith('172.')) {
-      return next(new ValidationError('Private/local URLs are not allowed'));
+  if (!finalShortcode) {
+    finalShortcode = await shortcodeGenerator.generate({
+      length: 6,
+      strategy: 'sequential',
+      url: url,
+      readable: true
+    }, async (code) => isReserved(code) || store.exists(linkKey(hostname, code)));
+  } else {
+    if (isReserved(finalShortcode)) {
+      throw new ValidationError(`Shortcode conflicts with a reserved word of ${hostname}`);
     }
-
-    if (!['http:', 'https:'].includes(urlObj.protocol)) {
-      return next(new ValidationError('Only HTTP and HTTPS URLs are supported'));
+    if (await store.exists(linkKey(hostname, finalShortcode))) {
+      throw new ConflictError(`Shortcode '${finalShortcode}' is already taken${hostname ? ` on ${hostname}` : ''}`);
     }
-
-    next();
-  } catch (error) {
-    next(new ValidationError('Invalid URL format'));
   }
+
+  return store.storeUrl(finalShortcode, {
+    ...options,
+    url,
+    ownerId,
+    domain: hostname,
+    passwordHash: password ? await hashPassword(password) : null
+  });
 };
 
-const sanitizeShortcode = (req, res, next) => {
-  if (req.body.shortcode) {
-    req.body.shortcode = req.body.shortcode.toLowerCase().trim();
-    
-    const reservedWords = ['api', 'health', 'admin', 'www', 'app', 'dashboard'];
-    if (reservedWords.includes(req.body.shortcode)) {
-      return next(new ValidationError('Shortcode conflicts with reserved word'));
+/**
+ * Finds the link reuseExisting should return instead of creating one for a
+ * validated createUrl payload: the owner's newest live link on the same
+ * domain whose destination normalizes to the same URL and that lasts at
+ * least as long as the requested one (half the default lifetime when the
+ * request leaves expiry to the default), with the same description and
+ * exactly the requested tags, so nothing asked for is dropped. Only plain
+ * links are reused: a
+ * request or link with a password, rules, variants, a click limit or an
+ * interstitial doesn't simply lead to the destination, and scheduled
+ * requests want a link of their own.
+ */
+const findReusableLink = async (ownerId, domain, data) => {
+  if (data.password || data.rules || data.variants || data.maxClicks || data.activatesAt ||
+      (data.interstitial && data.interstitial !== 'off')) {
+    return null;
+  }
+
+  let expiresAt;
+  if (data.expiresAt) {
+    expiresAt = new Date(data.expiresAt);
+  } else {
+    const minutes = data.expiresIn || defaultExpiresIn(domain) / 2;
+    expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  }
+  const description = data.description || '';
+  const tags = [...(data.tags || [])].sort();
+
+  const isReusable = (record) => !record.passwordHash &&
+    record.rules.length === 0 &&
+    record.variants.length === 0 &&
+    !record.maxClicks &&
+    record.interstitial === 'off' &&
+    record.expiresAt >= expiresAt &&
+    record.description === description &&
+    record.tags.length === tags.length &&
+    [...record.tags].sort().every((tag, index) => tag === tags[index]);
+
+  const query = {
+    ownerId,
+    domain: domain ? domain.hostname : null,
+    destination: data.url,
+    tags,
+    status: 'live',
+    sort: 'createdAt',
+    order: 'desc',
+    limit: 20,
+    countTotal: false
+  };
+
+  let after = null;
+  for (;;) {
+    const { urls, hasMore } = await store.listUrls({ ...query, after });
+
+    const match = urls.find(isReusable);
+    if (match || !hasMore) {
+      return match || null;
     }
+
+    const last = urls[urls.length - 1];
+    after = { value: linkSortValue(last, 'createdAt'), key: linkKey(last.domain, last.shortcode) };
   }
-  
-  next();
 };
 
-const errorHandler = (error, req, res, next) => {
-  if (res.headersSent) {
-    return next(error);
+// Store key of the link visited on this request's host
+const visitedLinkKey = async (req, shortcode) => {
+  const domain = req.hostname ? await store.findDomain(req.hostname.toLowerCase()) : null;
+  return linkKey(domain ? domain.hostname : null, shortcode);
+};
+
+/**
+ * Answers a visit to a link that is not currently live: the "coming soon" page
+ * for scheduled links, the not-found page for everything else.
+ */
+const sendUnavailablePage = async (res, shortcode, key) => {
+  const record = await store.findUrl(key);
+
+  if (record && getLinkStatus(record) === 'scheduled') {
+    const retryAfter = Math.ceil((record.activatesAt - Date.now()) / 1000);
+    res.set({ 'Cache-Control': 'no-store', 'Retry-After': retryAfter });
+    return res.status(503).send(renderComingSoonPage(shortcode, record.activatesAt));
   }
 
-  const requestId = req.requestId || 'unknown';
-  console.error(`💥 [${requestId}] Error:`, {
-    message: error.message,
-    stack: error.stack,
-    url: req.originalUrl,
-    method: req.method,
-    ip: req.ip
-  });
+  res.status(404).send(renderNotFoundPage(shortcode));
+};
 
-  let statusCode = 500;
-  let message = 'Something went wrong on our end';
-  let code = 'INTERNAL_ERROR';
-  let details = null;
+// Whether a visit should stop on the interstitial warning page first
+const needsInterstitial = (record, destinationUrl) => {
+  switch (record.interstitial) {
+    case 'external':
+      return true;
+    case 'unverified':
+      return !urlSafety.isAllowlisted(destinationUrl);
+    default:
+      return false;
+  }
+};
 
-  if (error instanceof AppError) {
-    statusCode = error.statusCode;
-    message = error.message;
-    code = error.code;
+/**
+ * Records a click for the visitor and redirects to the destination, adding
+ * UTM tracking parameters unless ?track=false was given. Links with an
+ * interstitial mode show the warning page instead until the visitor confirms.
+ */
+const recordClickAndRedirect = async (req, res, urlRecord, options = {}) => {
+  const { shortcode } = urlRecord;
+  const {
+    source = req.query[QR_MARKER_PARAM],
+    track = req.query.track,
+    confirmed = req.query[INTERSTITIAL_CONFIRM_PARAM] === '1'
+  } = options;
+
+  // Extract analytics metadata
+  const getReferer = (req) => {
+    const referer = req.headers['referer'] || req.headers['referrer'];
+    if (!referer) return 'direct';
     
-    if (error instanceof ValidationError) {
-      details = error.details;
+    try {
+      const url = new URL(referer);
+      return url.hostname;
+    } catch {
+      return 'unknown';
     }
-  } else if (error.name === 'ValidationError' && error.details) {
-    statusCode = 400;
-    message = 'Invalid request data';
-    code = 'VALIDATION_ERROR';
-    details = error.details.map(detail => ({
-      field: detail.path?.join('.') || 'unknown',
-      message: detail.message,
-      value: detail.context?.value
-    }));
+  };
+
+  const ip = getClientIp(req);
+  const { country, region, city } = getLocationFromIp(ip);
+  const agent = parseUserAgent(req.headers['user-agent']);
+  const now = new Date();
+
+  // Evaluate targeting rules before recording so analytics know which matched
+  const destination = selectDestination(urlRecord, {
+    country,
+    languages: parseAcceptLanguage(req.headers['accept-language']),
+    now
+  });
+
+  // Without a matching rule, an A/B split replaces the default destination
+  let variant = null;
+  let stickyName = null;
+  if (destination.rule === 'default' && urlRecord.variants?.length > 0) {
+    stickyName = parseCookies(req.headers.cookie)[VARIANT_COOKIE];
+    variant = selectVariant(urlRecord.variants, stickyName);
+    destination.url = variant.url;
   }
 
-  const errorResponse = {
-    error: {
-      code,
-      message,
-      timestamp: new Date().toISOString(),
-      requestId
+  // Makes a newly assigned variant sticky; only done for visits that go on
+  // to the destination, so refused clicks don't hand out a variant
+  const setVariantCookie = () => {
+    if (variant && variant.name !== stickyName) {
+      res.cookie(VARIANT_COOKIE, variant.name, {
+        path: `/${shortcode}`,
+        maxAge: VARIANT_COOKIE_MAX_AGE,
+        httpOnly: true,
+        sameSite: 'lax'
+      });
     }
   };
 
-  if (details) {
-    errorResponse.error.details = details;
+  // Nothing is recorded until the visitor continues. The variant cookie is
+  // set here already so the confirmed visit lands on the destination shown
+  if (!confirmed && needsInterstitial(urlRecord, destination.url)) {
+    const continueUrl = new URL(req.originalUrl, 'http://localhost');
+    continueUrl.searchParams.set(INTERSTITIAL_CONFIRM_PARAM, '1');
+
+    setVariantCookie();
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).send(renderInterstitialPage(urlRecord, destination.url, continueUrl.pathname + continueUrl.search));
   }
 
-  if (NODE_ENV === 'development') {
-    errorResponse.error.stack = error.stack;
+  // Record the click with analytics
+  const clickMetadata = {
+    ip: truncateIp(ip),
+    country,
+    region,
+    city,
+    visitorId: getVisitorId(ip, req.headers['user-agent']),
+    userAgent: agent.browser,
+    browserVersion: agent.version,
+    os: agent.os,
+    device: agent.device,
+    isBot: agent.isBot,
+    botType: agent.botType,
+    referer: getReferer(req),
+    timestamp: now,
+    requestId: req.requestId,
+    source: source === QR_MARKER_VALUE ? 'qr' : 'link',
+    rule: destination.rule,
+    variant: variant ? variant.name : null
+  };
+
+  const key = linkKey(urlRecord.domain, shortcode);
+  const recorded = await store.recordClick(key, clickMetadata);
+  
+  // Refused clicks mean the link stopped being live in the meantime (e.g. it
+  // used up its maxClicks). Bot visits are recorded separately and never
+  // count towards clicks or maxClicks
+  if (!recorded) {
+    logger.warn('Failed to record click', { key });
+    return sendUnavailablePage(res, shortcode, key);
   }
 
-  res.status(statusCode).json(errorResponse);
-};
+  setVariantCookie();
 
-const asyncHandler = (fn) => {
-  return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
-  };
-};
+  // Handle different redirect scenarios
+  const originalUrl = destination.url;
+  
+  // Add tracking parameters if needed (optional feature)
+  const shouldAddTracking = track !== 'false';
+  let redirectUrl = originalUrl;
+  
+  if (shouldAddTracking) {
+    try {
+      const url = new URL(originalUrl);
+      url.searchParams.set('utm_source', 'quicklink');
+      url.searchParams.set('utm_medium', clickMetadata.source === 'qr' ? 'qrcode' : 'shorturl');
+      url.searchParams.set('utm_campaign', shortcode);
+      redirectUrl = url.toString();
+    } catch (error) {
+      logger.warn('Failed to add tracking params', { url: originalUrl, error: error.message });
+      redirectUrl = originalUrl;
+    }
+  }
 
-// ============================================================================
-// INITIALIZE SERVICES
-// ============================================================================
+  // Log the redirect
+  logger.info('Redirecting', {
+    shortcode,
+    url: originalUrl,
+    rule: destination.rule,
+    browser: clickMetadata.userAgent,
+    referer: clickMetadata.referer
+  });
 
-const logger = new RequestLogger();
-const shortcodeGenerator = new ShortcodeGenerator();
-const memoryStore = new MemoryStore();
+  // Perform the redirect (302 for analytics)
+  res.redirect(302, redirectUrl);
+};
 
 // ============================================================================
 // EXPRESS APP SETUP
@@ -737,6 +5166,9 @@ const memoryStore = new MemoryStore();
 
 const app = express();
 
+// Resolve req.ip through trusted proxies only
+app.set('trust proxy', TRUSTED_PROXIES);
+
 // Security and performance middleware
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
@@ -753,7 +5185,7 @@ app.use(express.urlencoded({
 }));
 
 // Custom request logging
-app.use(logger.middleware());
+app.use(requestLogger.middleware());
 
 // ============================================================================
 // ROUTES
@@ -776,132 +5208,521 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics
+app.get('/metrics', asyncHandler(async (req, res) => {
+  if (METRICS_TOKEN && !secretsMatch(req.get('Authorization'), `Bearer ${METRICS_TOKEN}`)) {
+    throw new UnauthorizedError('A valid metrics token is required');
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(await metricsRegistry.render());
+}));
+
 // Create short URL
 app.post('/api/urls', 
+  requireApiKey,
+  idempotent,
+  rateLimiter.middleware('create'),
   validateInput('createUrl'),
   sanitizeShortcode,
   validateUrlReachability,
   asyncHandler(async (req, res) => {
-    const { url, shortcode: customShortcode, expiresIn, description } = req.body;
-    
-    let finalShortcode = customShortcode;
-    
-    if (!finalShortcode) {
-      finalShortcode = await shortcodeGenerator.generate({
-        length: 6,
-        strategy: 'sequential',
-        url: url,
-        readable: true
-      }, (code) => memoryStore.exists(code));
+    const domain = await resolveDomain(req, req.body.domain);
+    const existing = req.body.reuseExisting
+      ? await findReusableLink(req.apiKey.id, domain, req.body)
+      : null;
+    const urlRecord = existing || await createShortUrl(req.body, req.apiKey.id, domain);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: {
+        shortcode: urlRecord.shortcode,
+        domain: urlRecord.domain,
+        shortUrl: buildShortUrl(req, urlRecord),
+        originalUrl: urlRecord.originalUrl,
+        description: urlRecord.description || null,
+        passwordProtected: Boolean(urlRecord.passwordHash),
+        maxClicks: urlRecord.maxClicks,
+        interstitial: urlRecord.interstitial,
+        tags: urlRecord.tags,
+        activatesAt: urlRecord.activatesAt,
+        expiresAt: urlRecord.expiresAt,
+        rules: urlRecord.rules,
+        variants: urlRecord.variants,
+        reused: Boolean(existing),
+        createdAt: urlRecord.createdAt
+      },
+      message: existing ? 'Existing short URL returned' : 'Short URL created successfully'
+    });
+  })
+);
+
+// Bulk create short URLs from a JSON array or a CSV body
+app.post('/api/urls/bulk',
+  requireApiKey,
+  express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }),
+  idempotent,
+  rateLimiter.middleware('bulk'),
+  asyncHandler(async (req, res) => {
+    let rows;
+
+    if (typeof req.body === 'string') {
+      const [header, ...records] = parseCsv(req.body);
+      if (!header) {
+        throw new ValidationError('CSV body is empty');
+      }
+
+      const columns = header.map(column => column.trim());
+      if (!columns.includes('url')) {
+        throw new ValidationError('CSV header must include a url column');
+      }
+
+      rows = records.map(record => {
+        const row = {};
+        columns.forEach((column, index) => {
+          const value = (record[index] || '').trim();
+          if (value !== '') row[column] = value;
+        });
+        return row;
+      });
+    } else if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else {
+      throw new ValidationError('Request body must be a JSON array or text/csv');
+    }
+
+    if (rows.length === 0) {
+      throw new ValidationError('No rows to import');
+    }
+    if (rows.length > BULK_MAX_ROWS) {
+      throw new ValidationError(`Bulk import is limited to ${BULK_MAX_ROWS} rows`);
+    }
+
+    const results = [];
+
+    // Rows are processed in order so duplicate shortcodes within a batch
+    // conflict. Every link created uses a token of the create limit, so bulk
+    // imports can't get around it; rows past the budget fail
+    for (const [index, row] of rows.entries()) {
+      try {
+        const data = validateSchema('createUrl', row);
+        if (data.shortcode) {
+          data.shortcode = normalizeShortcode(data.shortcode);
+        }
+        await checkDestinations(data);
+
+        const domain = await resolveDomain(req, data.domain);
+        const existing = data.reuseExisting
+          ? await findReusableLink(req.apiKey.id, domain, data)
+          : null;
+        if (!existing) {
+          rateLimiter.take('create', req);
+        }
+        const urlRecord = existing || await createShortUrl(data, req.apiKey.id, domain);
+
+        results.push({
+          row: index + 1,
+          success: true,
+          data: {
+            shortcode: urlRecord.shortcode,
+            domain: urlRecord.domain,
+            shortUrl: buildShortUrl(req, urlRecord),
+            originalUrl: urlRecord.originalUrl,
+            expiresAt: urlRecord.expiresAt,
+            reused: Boolean(existing)
+          }
+        });
+      } catch (error) {
+        const rowError = error instanceof AppError
+          ? { code: error.code, message: error.message }
+          : { code: 'INTERNAL_ERROR', message: 'Something went wrong on our end' };
+
+        if (error instanceof ValidationError && error.details) {
+          rowError.details = error.details;
+        }
+
+        results.push({ row: index + 1, success: false, error: rowError });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success);
+    const reused = succeeded.filter(result => result.data.reused).length;
+    const created = succeeded.length - reused;
+
+    res.status(created > 0 ? 201 : 200).json({
+      success: true,
+      data: {
+        results,
+        summary: {
+          total: results.length,
+          created,
+          reused,
+          failed: results.length - succeeded.length
+        }
+      },
+      message: `Created ${created} of ${results.length} short URLs${reused > 0 ? `, reused ${reused}` : ''}`
+    });
+  })
+);
+
+// Get URL statistics
+app.get('/api/urls/:shortcode',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  validateInput('getStats', 'params'),
+  loadOwnedUrl,
+  asyncHandler(async (req, res) => {
+    const analytics = await store.getAnalytics(req.linkKey);
+    if (!analytics) {
+      throw new NotFoundError('Short URL');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        shortcode: analytics.shortcode,
+        domain: analytics.domain,
+        shortUrl: buildShortUrl(req, req.urlRecord),
+        originalUrl: analytics.originalUrl,
+        description: analytics.description,
+        createdAt: analytics.createdAt,
+        activatesAt: analytics.activatesAt,
+        expiresAt: analytics.expiresAt,
+        status: analytics.status,
+        isActive: analytics.isActive,
+        rules: analytics.rules,
+        variants: analytics.variants,
+        passwordProtected: analytics.passwordProtected,
+        interstitial: analytics.interstitial,
+        tags: analytics.tags,
+        analytics: {
+          totalClicks: analytics.totalClicks,
+          totalScans: analytics.totalScans,
+          uniqueVisitors: analytics.uniqueVisitors,
+          maxClicks: analytics.maxClicks,
+          remainingClicks: analytics.remainingClicks,
+          lastAccessed: analytics.lastAccessed,
+          clicksByDay: analytics.clicksByDay,
+          topReferers: analytics.topReferers,
+          topCountries: analytics.topCountries,
+          clicksByRule: analytics.clicksByRule,
+          clicksByVariant: analytics.clicksByVariant,
+          clicksByDevice: analytics.clicksByDevice,
+          clicksByOs: analytics.clicksByOs,
+          clicksByBrowser: analytics.clicksByBrowser,
+          totalBotVisits: analytics.totalBotVisits,
+          botVisitsByName: analytics.botVisitsByName,
+          recentClicks: analytics.recentClicks.map(click => ({
+            timestamp: click.timestamp,
+            referer: click.referer,
+            country: click.country,
+            userAgent: click.userAgent,
+            os: click.os || 'unknown',
+            device: click.device || 'unknown',
+            source: click.source || 'link',
+            rule: click.rule || 'default',
+            variant: click.variant || null
+          }))
+        }
+      }
+    });
+  })
+);
+
+// QR code for a short URL (rendered locally as SVG or PNG)
+app.get('/api/urls/:shortcode/qr',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  validateInput('getStats', 'params'),
+  loadOwnedUrl,
+  validateInput('qrCode', 'query'),
+  asyncHandler(async (req, res) => {
+    const { format, size, margin, ecl, dark, light } = req.query;
+
+    const scanUrl = `${buildShortUrl(req, req.urlRecord)}?${QR_MARKER_PARAM}=${QR_MARKER_VALUE}`;
+
+    const options = {
+      width: size,
+      margin,
+      errorCorrectionLevel: ecl,
+      color: {
+        dark: dark.startsWith('#') ? dark : `#${dark}`,
+        light: light.startsWith('#') ? light : `#${light}`
+      }
+    };
+
+    res.set('Cache-Control', 'private, max-age=86400');
+
+    if (format === 'png') {
+      const png = await QRCode.toBuffer(scanUrl, { ...options, type: 'png' });
+      res.type('image/png').send(png);
     } else {
-      if (memoryStore.exists(finalShortcode)) {
-        throw new ConflictError(`Shortcode '${finalShortcode}' is already taken`);
+      const svg = await QRCode.toString(scanUrl, { ...options, type: 'svg' });
+      res.type('image/svg+xml').send(svg);
+    }
+  })
+);
+
+// Click time series of one URL from the hourly/daily rollups
+app.get('/api/urls/:shortcode/timeseries',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  loadOwnedUrl,
+  validateInput('timeseries', 'query'),
+  asyncHandler(async (req, res) => {
+    const { granularity, timezone } = req.query;
+    const to = req.query.to || new Date();
+    const from = req.query.from ||
+      new Date(to.getTime() - (granularity === 'hour' ? DAY_MS : 30 * DAY_MS));
+
+    const timeseries = await buildTimeseries(req.linkKey, { granularity, timezone, from, to });
+
+    res.json({
+      success: true,
+      data: {
+        shortcode: req.urlRecord.shortcode,
+        domain: req.urlRecord.domain || null,
+        granularity,
+        timezone,
+        from,
+        to,
+        ...timeseries
       }
+    });
+  })
+);
+
+// Export raw clicks of one URL
+app.get('/api/urls/:shortcode/clicks/export',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  validateInput('getStats', 'params'),
+  loadOwnedUrl,
+  validateInput('exportClicks', 'query'),
+  asyncHandler(async (req, res) => {
+    const { shortcode } = req.params;
+    const { format, from, to } = req.query;
+
+    await streamClickExport(req, res, [req.urlRecord], {
+      format,
+      filename: `clicks-${shortcode}`,
+      from,
+      to
+    });
+  })
+);
+
+// Export raw clicks of all URLs owned by the caller
+app.get('/api/clicks/export',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  validateInput('exportClicks', 'query'),
+  asyncHandler(async (req, res) => {
+    const { format, from, to } = req.query;
+
+    const urls = await store.findUrlsByOwner(req.apiKey.id);
+
+    await streamClickExport(req, res, urls, {
+      format,
+      filename: 'clicks',
+      from,
+      to
+    });
+  })
+);
+
+// Live clicks of one URL as Server-Sent Events
+app.get('/api/urls/:shortcode/events',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  validateInput('getStats', 'params'),
+  loadOwnedUrl,
+  (req, res) => {
+    clickStream.open(req, res, {
+      ownerId: req.apiKey.id,
+      key: req.linkKey
+    });
+  }
+);
+
+// Live clicks of all URLs owned by the caller as Server-Sent Events
+app.get('/api/events',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  (req, res) => {
+    clickStream.open(req, res, { ownerId: req.apiKey.id });
+  }
+);
+
+// Update URL destination, description or expiry
+app.patch('/api/urls/:shortcode',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  validateInput('getStats', 'params'),
+  loadOwnedUrl,
+  validateInput('updateUrl'),
+  validateUrlReachability,
+  asyncHandler(async (req, res) => {
+    const { shortcode } = req.params;
+
+    const { password, ...changes } = req.body;
+    if (password !== undefined) {
+      changes.passwordHash = password === null ? null : await hashPassword(password);
     }
 
-    const urlRecord = memoryStore.storeUrl(finalShortcode, {
-      url,
-      expiresIn,
-      description
-    });
+    // The schedule after the update has to be checked against the stored
+    // dates, or a link could be set to activate only after it expires
+    const expiresAt = changes.expiresAt !== undefined
+      ? new Date(changes.expiresAt)
+      : changes.expiresIn !== undefined
+        ? new Date(Date.now() + changes.expiresIn * 60 * 1000)
+        : req.urlRecord.expiresAt;
+    const activatesAt = changes.activatesAt !== undefined ? changes.activatesAt : req.urlRecord.activatesAt;
+    if (activatesAt && new Date(activatesAt) >= expiresAt) {
+      throw new ValidationError('activatesAt must be before expiresAt');
+    }
 
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const shortUrl = `${baseUrl}/${finalShortcode}`;
+    const urlRecord = await store.updateUrl(req.linkKey, changes);
+    if (!urlRecord) {
+      throw new NotFoundError('Short URL');
+    }
 
-    res.status(201).json({
+    res.json({
       success: true,
       data: {
-        shortcode: finalShortcode,
-        shortUrl: shortUrl,
-        originalUrl: url,
-        description: description || null,
+        shortcode,
+        domain: urlRecord.domain || null,
+        shortUrl: buildShortUrl(req, urlRecord),
+        originalUrl: urlRecord.originalUrl,
+        description: urlRecord.description,
+        activatesAt: urlRecord.activatesAt || null,
         expiresAt: urlRecord.expiresAt,
-        createdAt: urlRecord.createdAt
+        status: getLinkStatus(urlRecord),
+        isActive: urlRecord.isActive,
+        rules: urlRecord.rules || [],
+        variants: urlRecord.variants || [],
+        passwordProtected: Boolean(urlRecord.passwordHash),
+        maxClicks: urlRecord.maxClicks,
+        interstitial: urlRecord.interstitial || 'off',
+        tags: urlRecord.tags || [],
+        createdAt: urlRecord.createdAt,
+        updatedAt: urlRecord.updatedAt
       },
-      message: 'Short URL created successfully'
+      message: 'Short URL updated successfully'
     });
   })
 );
 
-// Get URL statistics
-app.get('/api/urls/:shortcode',
+// Soft-delete URL (can be restored)
+app.delete('/api/urls/:shortcode',
+  requireApiKey,
+  rateLimiter.middleware('api'),
   validateInput('getStats', 'params'),
+  loadOwnedUrl,
   asyncHandler(async (req, res) => {
     const { shortcode } = req.params;
-    
-    const analytics = memoryStore.getAnalytics(shortcode);
-    if (!analytics) {
+
+    const urlRecord = await store.setActive(req.linkKey, false);
+    if (!urlRecord) {
       throw new NotFoundError('Short URL');
     }
 
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    
     res.json({
       success: true,
       data: {
-        shortcode: analytics.shortcode,
-        shortUrl: `${baseUrl}/${shortcode}`,
-        originalUrl: analytics.originalUrl,
-        description: analytics.description,
-        createdAt: analytics.createdAt,
-        expiresAt: analytics.expiresAt,
-        isActive: analytics.isActive,
-        analytics: {
-          totalClicks: analytics.totalClicks,
-          lastAccessed: analytics.lastAccessed,
-          clicksByDay: analytics.clicksByDay,
-          topReferers: analytics.topReferers,
-          topCountries: analytics.topCountries,
-          recentClicks: analytics.recentClicks.map(click => ({
-            timestamp: click.timestamp,
-            referer: click.referer,
-            country: click.country,
-            userAgent: click.userAgent
-          }))
-        }
-      }
+        shortcode,
+        isActive: false,
+        updatedAt: urlRecord.updatedAt
+      },
+      message: 'Short URL deactivated successfully'
+    });
+  })
+);
+
+// Restore a soft-deleted URL
+app.post('/api/urls/:shortcode/restore',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  validateInput('getStats', 'params'),
+  loadOwnedUrl,
+  asyncHandler(async (req, res) => {
+    const { shortcode } = req.params;
+
+    const urlRecord = await store.setActive(req.linkKey, true);
+    if (!urlRecord) {
+      throw new NotFoundError('Short URL');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        shortcode,
+        isActive: true,
+        expiresAt: urlRecord.expiresAt,
+        updatedAt: urlRecord.updatedAt
+      },
+      message: 'Short URL restored successfully'
     });
   })
 );
 
 // List all URLs
 app.get('/api/urls',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  validateInput('listUrls', 'query'),
   asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
-    const offset = (page - 1) * limit;
-
-    const allUrls = Array.from(memoryStore.urls.values());
-    const activeUrls = allUrls.filter(url => url.isActive && url.expiresAt > new Date());
-    
-    activeUrls.sort((a, b) => b.createdAt - a.createdAt);
-    const paginatedUrls = activeUrls.slice(offset, offset + limit);
-    
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const { page, cursor, sort, order, tag, ...filters } = req.query;
+    const limit = Math.min(req.query.limit, 100);
+
+    const { urls: paginatedUrls, total, hasMore } = await store.listUrls({
+      ...filters,
+      page,
+      limit,
+      sort,
+      order,
+      tags: tag,
+      after: cursor ? decodeListCursor(cursor, sort, order) : null,
+      ownerId: req.apiKey.id,
+      countTotal: !cursor
+    });
     
     const urls = paginatedUrls.map(url => ({
       shortcode: url.shortcode,
-      shortUrl: `${baseUrl}/${url.shortcode}`,
+      domain: url.domain || null,
+      shortUrl: buildShortUrl(req, url),
       originalUrl: url.originalUrl,
       description: url.description,
+      tags: url.tags || [],
+      status: url.status,
       createdAt: url.createdAt,
+      activatesAt: url.activatesAt || null,
       expiresAt: url.expiresAt,
       clickCount: url.clickCount,
       lastAccessed: url.lastAccessed
     }));
 
+    const pagination = {
+      limit,
+      hasNext: hasMore,
+      nextCursor: hasMore ? encodeListCursor(paginatedUrls[paginatedUrls.length - 1], sort, order) : null
+    };
+    // Totals and page numbers only come with offset pagination; cursor pages
+    // seek to their position without counting every match
+    if (!cursor) {
+      Object.assign(pagination, {
+        page,
+        total,
+        pages: Math.ceil(total / limit),
+        hasPrev: page > 1
+      });
+    }
+
     res.json({
       success: true,
       data: {
         urls,
-        pagination: {
-          page,
-          limit,
-          total: activeUrls.length,
-          pages: Math.ceil(activeUrls.length / limit),
-          hasNext: offset + limit < activeUrls.length,
-          hasPrev: page > 1
-        }
+        pagination
       }
     });
   })
@@ -909,10 +5730,19 @@ app.get('/api/urls',
 
 // Service statistics
 app.get('/api/stats',
+  requireApiKey,
+  rateLimiter.middleware('api'),
   asyncHandler(async (req, res) => {
-    const storeStats = memoryStore.getStats();
+    const storeStats = await store.getStats();
     const generatorStats = shortcodeGenerator.getStats();
 
+    const cacheHits = metrics.cacheLookups.get({ result: 'hit' });
+    const cacheLookups = metrics.cacheLookups.total();
+    const requests = metrics.requestDuration.summary();
+    const generatorAttempts = metrics.generatorAttempts.total();
+    const collisions = metrics.generatorCollisions.total();
+    const percentage = (part, whole) => whole > 0 ? `${Math.round((part / whole) * 1000) / 10}%` : 'N/A';
+
     res.json({
       success: true,
       data: {
@@ -924,151 +5754,409 @@ app.get('/api/stats',
         urls: {
           total: storeStats.totalUrls,
           active: storeStats.activeUrls,
-          totalClicks: storeStats.totalClicks
+          totalClicks: storeStats.totalClicks,
+          totalBotVisits: storeStats.totalBotVisits,
+          uniqueVisitors: storeStats.uniqueVisitors
         },
         performance: {
-          cacheHitRate: storeStats.cacheSize > 0 ? '~85%' : 'N/A',
-          averageResponseTime: '~50ms',
+          cacheHitRate: percentage(cacheHits, cacheLookups),
+          cacheLookups,
+          averageResponseTime: requests.count > 0
+            ? `${Math.round((requests.sum / requests.count) * 10000) / 10}ms`
+            : 'N/A',
+          totalRequests: requests.count,
           memoryUsage: storeStats.memoryUsage
         },
         generator: {
           possibleCombinations: generatorStats.possibleCombinations.length6,
-          collisionRate: '< 0.1%'
+          collisionRate: percentage(collisions, generatorAttempts),
+          attempts: generatorAttempts,
+          collisions
         }
       }
     });
   })
 );
 
+// Webhook summary shared by the webhook routes (never includes the secret)
+const toWebhookResponse = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  disabledAt: webhook.disabledAt || null,
+  consecutiveFailures: webhook.consecutiveFailures || 0,
+  createdAt: webhook.createdAt
+});
+
+// Loads a webhook owned by the calling API key; other owners' webhooks 404
+const loadOwnedWebhook = asyncHandler(async (req, res, next) => {
+  const webhook = await store.findWebhook(req.params.id);
+  if (!webhook || webhook.ownerId !== req.apiKey.id) {
+    throw new NotFoundError('Webhook');
+  }
+
+  req.webhook = webhook;
+  next();
+});
+
+// Register a webhook (the signing secret is only returned once)
+app.post('/api/webhooks',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  validateInput('createWebhook'),
+  asyncHandler(async (req, res) => {
+    if (!WEBHOOK_ALLOW_PRIVATE) {
+      await urlSafety.check(req.body.url);
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const webhook = await store.storeWebhook({
+      id: crypto.randomBytes(8).toString('hex'),
+      ownerId: req.apiKey.id,
+      url: req.body.url,
+      events: req.body.events,
+      description: req.body.description || '',
+      secret,
+      createdAt: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...toWebhookResponse(webhook),
+        secret
+      },
+      message: 'Webhook created successfully. Store the secret now, it will not be shown again'
+    });
+  })
+);
+
+// List webhooks
+app.get('/api/webhooks',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  asyncHandler(async (req, res) => {
+    const webhooks = await store.listWebhooks(req.apiKey.id);
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: webhooks.map(toWebhookResponse)
+      }
+    });
+  })
+);
+
+// Remove a webhook along with its pending deliveries
+app.delete('/api/webhooks/:id',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  loadOwnedWebhook,
+  asyncHandler(async (req, res) => {
+    await store.deleteWebhook(req.webhook.id);
+
+    res.json({
+      success: true,
+      data: { id: req.webhook.id },
+      message: 'Webhook deleted successfully'
+    });
+  })
+);
+
+// Re-enable a webhook that was disabled after repeated failures
+app.post('/api/webhooks/:id/enable',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  loadOwnedWebhook,
+  asyncHandler(async (req, res) => {
+    const webhook = await store.storeWebhook({
+      ...req.webhook,
+      consecutiveFailures: 0,
+      disabledAt: null
+    });
+
+    res.json({
+      success: true,
+      data: toWebhookResponse(webhook),
+      message: 'Webhook enabled'
+    });
+  })
+);
+
+// Recent delivery attempts for a webhook, newest first
+app.get('/api/webhooks/:id/deliveries',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  loadOwnedWebhook,
+  validateInput('webhookDeliveries', 'query'),
+  asyncHandler(async (req, res) => {
+    const deliveries = await store.listDeliveries(req.webhook.id, req.query.limit);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(delivery => ({
+          id: delivery.id,
+          event: delivery.event,
+          status: delivery.status,
+          attempts: delivery.attempts,
+          responseStatus: delivery.responseStatus,
+          lastError: delivery.lastError,
+          createdAt: delivery.createdAt,
+          lastAttemptAt: delivery.lastAttemptAt,
+          nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+          deliveredAt: delivery.deliveredAt
+        }))
+      }
+    });
+  })
+);
+
+// Domains the caller can create links on
+app.get('/api/domains',
+  requireApiKey,
+  rateLimiter.middleware('api'),
+  asyncHandler(async (req, res) => {
+    const domains = (await store.listDomains()).filter(domain => canUseDomain(domain, req.apiKey));
+
+    res.json({
+      success: true,
+      data: {
+        domains: domains.map(domain => ({
+          hostname: domain.hostname,
+          defaultExpiresIn: domain.defaultExpiresIn,
+          reservedWords: domain.reservedWords
+        }))
+      }
+    });
+  })
+);
+
+// Register a custom short domain, optionally assigned to one API key
+app.post('/api/admin/domains',
+  requireAdmin,
+  validateInput('createDomain'),
+  asyncHandler(async (req, res) => {
+    const { hostname, ownerId, defaultExpiresIn, reservedWords } = req.body;
+
+    if (await store.findDomain(hostname)) {
+      throw new ConflictError(`Domain '${hostname}' is already registered`);
+    }
+    if (ownerId && !(await store.listApiKeys()).some(apiKey => apiKey.id === ownerId)) {
+      throw new NotFoundError('API key');
+    }
+
+    const domain = await store.storeDomain({
+      hostname,
+      ownerId,
+      defaultExpiresIn,
+      reservedWords,
+      createdAt: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: domain,
+      message: 'Domain registered successfully'
+    });
+  })
+);
+
+// List custom short domains
+app.get('/api/admin/domains',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        domains: await store.listDomains()
+      }
+    });
+  })
+);
+
+// Remove a custom short domain that no longer has links
+app.delete('/api/admin/domains/:hostname',
+  requireAdmin,
+  validateInput('domainParams', 'params'),
+  asyncHandler(async (req, res) => {
+    const { hostname } = req.params;
+
+    const { total } = await store.listUrls({ domain: hostname, status: 'all', limit: 1 });
+    if (total > 0) {
+      throw new ConflictError(`Domain '${hostname}' still has ${total} links`);
+    }
+
+    const domain = await store.deleteDomain(hostname);
+    if (!domain) {
+      throw new NotFoundError('Domain');
+    }
+
+    res.json({
+      success: true,
+      data: { hostname },
+      message: 'Domain removed successfully'
+    });
+  })
+);
+
+// Issue an API key (the plaintext key is only returned once)
+app.post('/api/admin/keys',
+  requireAdmin,
+  validateInput('createApiKey'),
+  asyncHandler(async (req, res) => {
+    const key = `ql_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await store.storeApiKey({
+      id: crypto.randomBytes(8).toString('hex'),
+      name: req.body.name,
+      keyHash: hashApiKey(key),
+      prefix: key.slice(0, 7),
+      createdAt: new Date(),
+      revokedAt: null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: apiKey.id,
+        name: apiKey.name,
+        key,
+        createdAt: apiKey.createdAt
+      },
+      message: 'API key created successfully. Store it now, it will not be shown again'
+    });
+  })
+);
+
+// List API keys
+app.get('/api/admin/keys',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const apiKeys = await store.listApiKeys();
+
+    res.json({
+      success: true,
+      data: {
+        keys: apiKeys.map(apiKey => ({
+          id: apiKey.id,
+          name: apiKey.name,
+          prefix: apiKey.prefix,
+          createdAt: apiKey.createdAt,
+          revokedAt: apiKey.revokedAt
+        }))
+      }
+    });
+  })
+);
+
+// Revoke an API key
+app.delete('/api/admin/keys/:id',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const apiKey = await store.revokeApiKey(req.params.id);
+    if (!apiKey) {
+      throw new NotFoundError('API key');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: apiKey.id,
+        revokedAt: apiKey.revokedAt
+      },
+      message: 'API key revoked successfully'
+    });
+  })
+);
+
+// Public preview of where a link goes ("/abc123+"); records no click
+app.get('/:shortcode\\+',
+  rateLimiter.middleware('redirect'),
+  validateInput('getStats', 'params'),
+  asyncHandler(async (req, res) => {
+    const { shortcode } = req.params;
+    const key = await visitedLinkKey(req, shortcode);
+
+    const urlRecord = await store.getUrl(key);
+    if (!urlRecord) {
+      return sendUnavailablePage(res, shortcode, key);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).send(renderPreviewPage(urlRecord));
+  })
+);
+
 // Redirect handler
 app.get('/:shortcode',
+  rateLimiter.middleware('redirect'),
   validateInput('getStats', 'params'),
   asyncHandler(async (req, res) => {
     const { shortcode } = req.params;
+    const key = await visitedLinkKey(req, shortcode);
     
-    const urlRecord = memoryStore.getUrl(shortcode);
+    const urlRecord = await store.getUrl(key);
     if (!urlRecord) {
-      return res.status(404).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Link Not Found - QuickLink</title>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1">
-          <style>
-            body { 
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-              margin: 0; padding: 0; height: 100vh;
-              display: flex; align-items: center; justify-content: center;
-              color: white;
-            }
-            .container { 
-              text-align: center; max-width: 500px; padding: 2rem;
-              background: rgba(255,255,255,0.1); border-radius: 20px;
-              backdrop-filter: blur(10px); box-shadow: 0 8px 32px rgba(0,0,0,0.1);
-            }
-            h1 { font-size: 3rem; margin: 0 0 1rem 0; }
-            p { font-size: 1.2rem; margin: 1rem 0; opacity: 0.9; }
-            .code { 
-              background: rgba(255,255,255,0.2); padding: 0.5rem 1rem;
-              border-radius: 8px; font-family: monospace; margin: 1rem 0;
-            }
-            a { color: #ffd700; text-decoration: none; font-weight: bold; }
-            a:hover { text-decoration: underline; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>🔍</h1>
-            <h2>Link Not Found</h2>
-            <p>The short link <span class="code">${shortcode}</span> doesn't exist or has expired.</p>
-            <p>This could happen if:</p>
-            <ul style="text-align: left; display: inline-block;">
-              <li>The link was mistyped</li>
-              <li>The link has expired</li>
-              <li>The link was deleted</li>
-            </ul>
-            <p><a href="/">← Go to homepage</a></p>
-          </div>
-        </body>
-        </html>
-      `);
-    }
-
-    // Extract analytics metadata
-    const getClientIp = (req) => {
-      return req.headers['x-forwarded-for'] || 
-             req.headers['x-real-ip'] || 
-             req.connection?.remoteAddress || 
-             req.socket?.remoteAddress ||
-             req.ip || 
-             'unknown';
-    };
+      return sendUnavailablePage(res, shortcode, key);
+    }
 
-    const getUserAgent = (req) => {
-      const ua = req.headers['user-agent'] || 'unknown';
-      if (ua.includes('Chrome')) return 'Chrome';
-      if (ua.includes('Firefox')) return 'Firefox';
-      if (ua.includes('Safari') && !ua.includes('Chrome')) return 'Safari';
-      if (ua.includes('Edge')) return 'Edge';
-      if (ua.includes('curl')) return 'curl';
-      if (ua.includes('Postman')) return 'Postman';
-      return 'Other';
-    };
+    if (urlRecord.passwordHash) {
+      return res.status(200).send(renderPasswordPage(shortcode, {
+        source: req.query[QR_MARKER_PARAM],
+        track: req.query.track
+      }));
+    }
 
-    const getReferer = (req) => {
-      const referer = req.headers['referer'] || req.headers['referrer'];
-      if (!referer) return 'direct';
-      
-      try {
-        const url = new URL(referer);
-        return url.hostname;
-      } catch {
-        return 'unknown';
-      }
-    };
+    await recordClickAndRedirect(req, res, urlRecord);
+  })
+);
 
-    // Record the click with analytics
-    const clickMetadata = {
-      ip: getClientIp(req),
-      userAgent: getUserAgent(req),
-      referer: getReferer(req),
-      timestamp: new Date(),
-      requestId: req.requestId
-    };
+// Password form submission for protected links
+app.post('/:shortcode',
+  rateLimiter.middleware('redirect'),
+  validateInput('getStats', 'params'),
+  asyncHandler(async (req, res) => {
+    const { shortcode } = req.params;
+    const key = await visitedLinkKey(req, shortcode);
 
-    const recorded = memoryStore.recordClick(shortcode, clickMetadata);
-    
-    if (!recorded) {
-      console.warn(`⚠️ Failed to record click for ${shortcode}`);
+    const urlRecord = await store.getUrl(key);
+    if (!urlRecord) {
+      return sendUnavailablePage(res, shortcode, key);
     }
 
-    // Handle different redirect scenarios
-    const originalUrl = urlRecord.originalUrl;
-    
-    // Add tracking parameters if needed (optional feature)
-    const shouldAddTracking = req.query.track !== 'false';
-    let redirectUrl = originalUrl;
-    
-    if (shouldAddTracking) {
-      try {
-        const url = new URL(originalUrl);
-        url.searchParams.set('utm_source', 'quicklink');
-        url.searchParams.set('utm_medium', 'shorturl');
-        url.searchParams.set('utm_campaign', shortcode);
-        redirectUrl = url.toString();
-      } catch (error) {
-        console.warn(`⚠️ Failed to add tracking params to ${originalUrl}:`, error.message);
-        redirectUrl = originalUrl;
-      }
+    if (!urlRecord.passwordHash) {
+      return res.redirect(303, `/${shortcode}`);
+    }
+
+    const { source, track } = req.body;
+    const retryAfter = checkPasswordAttempts(req, key);
+    if (retryAfter !== null) {
+      logger.warn('Password attempts throttled', { shortcode, ip: getClientIp(req) });
+      res.set('Retry-After', retryAfter);
+      return res.status(429).send(renderPasswordPage(shortcode, {
+        source,
+        track,
+        error: `Too many attempts. Try again in ${retryAfter} seconds.`
+      }));
     }
 
-    // Log the redirect
-    console.log(`🔗 Redirecting ${shortcode} -> ${originalUrl} (${clickMetadata.userAgent} from ${clickMetadata.referer})`);
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+    if (!(await verifyPassword(password, urlRecord.passwordHash))) {
+      recordFailedPassword(req, key);
+      logger.warn('Wrong link password', { shortcode, ip: getClientIp(req) });
+      return res.status(401).send(renderPasswordPage(shortcode, {
+        source,
+        track,
+        error: 'Incorrect password.'
+      }));
+    }
 
-    // Perform the redirect (302 for analytics)
-    res.redirect(302, redirectUrl);
+    // Entering the password already took an explicit step, so the
+    // interstitial is not shown on top of it
+    await recordClickAndRedirect(req, res, urlRecord, { source, track, confirmed: true });
   })
 );
 
@@ -1079,43 +6167,81 @@ app.use(errorHandler);
 // SERVER STARTUP
 // ============================================================================
 
-const server = app.listen(PORT, () => {
-  console.log(`🚀 QuickLink API server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔗 API endpoints: http://localhost:${PORT}/api/urls`);
+/**
+ * Starts listening on PORT along with the background tasks. Only runs when
+ * server.js is executed directly, so tests can require the app without
+ * opening a port.
+ */
+const startServer = () => {
+  const server = app.listen(PORT, () => {
+    logger.info('QuickLink API server running', {
+      port: PORT,
+      health: `http://localhost:${PORT}/health`,
+      api: `http://localhost:${PORT}/api/urls`
+    });
   
-  // Background cleanup task - runs every 10 minutes
-  const cleanupInterval = setInterval(() => {
-    try {
-      const expiredCount = memoryStore.cleanupExpiredUrls();
-      if (expiredCount > 0) {
-        console.log(`🧹 Cleaned up ${expiredCount} expired URLs`);
+    // Background cleanup task - runs every 10 minutes
+    const cleanupInterval = setInterval(async () => {
+      try {
+        const expiredCount = await store.cleanupExpiredUrls();
+        if (expiredCount > 0) {
+          logger.info('Cleanup finished', { expired: expiredCount });
+        }
+      } catch (error) {
+        logger.error('Error during cleanup', { error });
       }
-    } catch (error) {
-      console.error('❌ Error during cleanup:', error.message);
-    }
-  }, 10 * 60 * 1000);
-
-  // Graceful shutdown handling
-  process.on('SIGTERM', () => {
-    console.log('📴 Received SIGTERM, shutting down gracefully...');
-    clearInterval(cleanupInterval);
-    server.close(() => {
-      console.log('✅ Server closed successfully');
-      process.exit(0);
+    }, 10 * 60 * 1000);
+
+    webhookDispatcher.start();
+
+    // Graceful shutdown handling
+    process.on('SIGTERM', () => {
+      logger.info('Received SIGTERM, shutting down gracefully');
+      clearInterval(cleanupInterval);
+      webhookDispatcher.stop();
+      clickStream.close();
+      server.close(async () => {
+        await store.close();
+        logger.info('Server closed successfully');
+        process.exit(0);
+      });
     });
   });
-});
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
-  process.exit(1);
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught exception', { error });
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('🚫 Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled rejection', { error: reason });
+    process.exit(1);
+  });
+
+  return server;
+};
+
+if (require.main === module) {
+  startServer();
+}
 
-module.exports = server;
+module.exports = {
+  app,
+  store,
+  webhookDispatcher,
+  startServer,
+  HyperLogLog,
+  GeoIpDatabase,
+  parseIp,
+  parseCidr,
+  ipInCidr,
+  isBlockedAddress,
+  findHomograph,
+  DomainList,
+  UrlSafetyChecker,
+  MemoryStore,
+  JournalStore,
+  encodeListCursor,
+  decodeListCursor
+};
@@ -11,6 +11,12 @@ const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3001';
 
+// Issue a key with POST /api/admin/keys and export it before running the demo
+const API_KEY = process.env.QUICKLINK_API_KEY;
+if (API_KEY) {
+  axios.defaults.headers.common['Authorization'] = `Bearer ${API_KEY}`;
+}
+
 // Helper function for colored console output
 const colors = {
   green: '\x1b[32m',